@@ -23,6 +23,7 @@ try {
 const program = require('commander')
 const chalk = require('chalk')
 const { version, description } = require('../package.json')
+const logger = require('../lib/utils/logger')
 
 /**
  * 命令行程序配置
@@ -31,12 +32,46 @@ program
   .name('frontend')
   .description(description)
   .version(version)
+  .option('--debug', '输出调试日志')
+  .option('--quiet', '只输出警告和错误')
+  .option('--no-color', '禁用颜色输出；也可通过NO_COLOR环境变量设置，FORCE_COLOR强制启用')
+  .option('--json', '以JSON Lines格式输出日志和创建事件，便于IDE和脚本读取')
+  .option('--log-file [path]', '将完整的调试日志（JSON Lines）写入文件，默认位于用户缓存目录；也可通过FRONTEND_LOG环境变量设置')
+
+// 全局选项在执行命令之前生效
+program.hook('preAction', () => {
+  const options = program.opts()
+
+  if (isColorDisabled(options.color, process.env)) {
+    chalk.level = 0
+  }
+
+  // 同时指定时以--debug为准
+  if (options.quiet) logger.setLevel('warn')
+  if (options.debug) logger.setLevel('debug')
+  if (options.json) logger.setFormat('json')
+
+  const logFile = resolveLogFile(options.logFile, process.env.FRONTEND_LOG)
+  if (logFile) {
+    logger.setFile(logFile)
+  }
+})
 
 // 导入命令模块
 const createCommand = require('../lib/commands/create')
+const presetCommand = require('../lib/commands/preset')
+const addCommand = require('../lib/commands/add')
+const upgradeCommand = require('../lib/commands/upgrade')
+const infoCommand = require('../lib/commands/info')
+const doctorCommand = require('../lib/commands/doctor')
 
 // 注册命令
 createCommand(program)
+presetCommand(program)
+addCommand(program)
+upgradeCommand(program)
+infoCommand(program)
+doctorCommand(program)
 
 // 帮助信息增强
 program.on('--help', () => {
@@ -97,5 +132,29 @@ function extractVersion(str) {
   return match ? match[0] : null;
 }
 
+/**
+ * 确定日志文件，--log-file优先于FRONTEND_LOG
+ * @param {string|boolean} [option] - --log-file参数，不带路径时为true
+ * @param {string} [env] - FRONTEND_LOG环境变量，1/true表示默认路径，0/false表示关闭
+ * @returns {string|boolean} 日志文件路径，true表示默认路径，false表示不写文件
+ */
+function resolveLogFile(option, env) {
+  if (option !== undefined) return option
+  if (!env || ['0', 'false'].includes(env.toLowerCase())) return false
+  return ['1', 'true'].includes(env.toLowerCase()) ? true : env
+}
+
+/**
+ * 是否禁用颜色输出，--no-color优先于环境变量，设置了FORCE_COLOR时由chalk按其取值处理
+ * @param {boolean} option - --no-color时为false
+ * @param {Object} env - 环境变量
+ * @returns {boolean} 是否禁用
+ */
+function isColorDisabled(option, env) {
+  if (option === false) return true
+  if (env.FORCE_COLOR !== undefined) return false
+  return Boolean(env.NO_COLOR)
+}
+
 // 解析命令行参数 输出帮助信息
 program.parse()
\ No newline at end of file
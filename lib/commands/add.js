@@ -0,0 +1,42 @@
+/**
+ * AddCommand - 在已有项目中添加插件
+ *
+ * 命令格式：
+ *   frontend add <plugin> [options]
+ *
+ * plugin可以是内置插件简写（router、state、eslint…）或完整包名
+ * （@frontend-cli/plugin-router、frontend-plugin-foo、@scope/frontend-plugin-bar）。
+ *
+ * 选项：
+ *   -f, --force    跳过Git工作区检查，并允许重新调用已添加的插件
+ *
+ * 命令需在frontend-cli创建的项目根目录（包含 .frontendrc.json）中执行。
+ */
+const logger = require('../utils/logger')
+const Invoker = require('../core/invoker')
+
+/**
+ * 注册Add命令
+ * @param {Object} program - Commander实例
+ */
+module.exports = function(program) {
+  program
+    .command('add <plugin>')
+    .description('在当前项目中安装并调用插件')
+    .option('-f, --force', '跳过Git工作区检查，允许重新调用已添加的插件')
+    .action(addPlugin)
+}
+
+/**
+ * 添加插件
+ * @param {string} plugin - 插件ID或简写
+ * @param {Object} options - 命令行选项
+ */
+async function addPlugin(plugin, options) {
+  try {
+    await new Invoker(process.cwd()).invoke(plugin, { force: Boolean(options.force) })
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+}
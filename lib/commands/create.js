@@ -6,14 +6,19 @@
  *   fc <project-name> [options]
  * 
  * 选项：
- *   --preset <name>           使用预设配置
+ *   --preset <name>           使用预设配置（内置: vue/react/svelte/vanilla-ts）
  *   --default                 使用默认配置
  *   --inline-preset <json>    内联JSON配置
  *   --package-manager <name>  指定包管理器
- *   --git [message]          初始化Git
+ *   --git [message]          初始化Git，可指定初始提交信息
  *   --no-git                 跳过Git初始化
+ *   --initial-branch <name>  Git仓库的初始分支名
  *   --force                  强制覆盖目录
  *   --merge                  合并目录
+ *   --conflict <policy>      合并时的文件冲突策略 (prompt/overwrite/keep/new)
+ *   --dry-run                预览将生成的文件，不写入磁盘
+ *   --offline                离线创建，只使用包管理器缓存和已缓存的外部预设
+ *   --prefer-offline         优先使用包管理器缓存，缓存中没有时才访问镜像源
  * 
  * 开发指南：
  * - 实现完整的参数验证
@@ -22,6 +27,7 @@
  * - 支持交互式配置
  */
 const Creator = require('../core/creator')
+const ConflictResolver = require('../core/conflictResolver')
 const path = require('path')
 const logger = require('../utils/logger')
 
@@ -41,14 +47,19 @@ module.exports = function(program) {
   program
     .command('create <project-name>')
     .description('创建一个新的前端项目')
-    .option('-p, --preset <presetName>', '使用预设配置')
+    .option('-p, --preset <presetName>', '使用预设配置 (vue/react/svelte/vanilla-ts、已保存的预设或预设路径)')
     .option('-d, --default', '使用默认配置')
     .option('-i, --inline-preset <json>', '使用内联JSON配置')
-    .option('-m, --package-manager <name>', '指定包管理器 (npm/yarn/pnpm)')
-    .option('-g, --git [message]', '初始化Git仓库')
+    .option('-m, --package-manager <name>', '指定包管理器 (npm/yarn/pnpm/berry/bun)，未指定时自动检测')
+    .option('-g, --git [message]', '初始化Git仓库，可指定初始提交信息')
     .option('-n, --no-git', '跳过Git初始化')
+    .option('--initial-branch <name>', 'Git仓库的初始分支名（默认使用git的配置）')
     .option('-f, --force', '强制覆盖目标目录')
     .option('--merge', '合并目标目录')
+    .option('--conflict <policy>', '合并时的文件冲突策略 (prompt/overwrite/keep/new)')
+    .option('--dry-run', '仅预览将生成的文件和package.json，不写入磁盘')
+    .option('--offline', '离线创建：只使用包管理器缓存和已缓存的外部预设，缓存不完整时列出缺少的依赖（Berry和bun不支持预先检查，在安装时报错）')
+    .option('--prefer-offline', '优先使用包管理器缓存，缓存中没有时才访问镜像源')
     .option('-y, --yes', '跳过所有提示，使用默认配置')
     .action(createProject)
 }
@@ -57,11 +68,11 @@ module.exports = function(program) {
  * 创建项目的主函数
  * @param {string} projectName - 项目名称
  * @param {Object} options - 命令行选项
+ * @param {Object} command - Commander命令实例，用于读取全局选项
  */
-async function createProject(projectName, options) {
+async function createProject(projectName, options, command) {
   try {
-    logger.info(`🚀 开始创建项目: ${projectName}`)
-    console.log('命令行选项:', options)
+    logger.debug('命令行选项:', options)
     // 1. 验证项目名称
     validateProjectName(projectName)
 
@@ -78,10 +89,10 @@ async function createProject(projectName, options) {
     const creator = new Creator(projectName, context, promptModules)
     
     // 6. 监听Creator事件
-    setupCreatorEventListeners(creator)
+    setupCreatorEventListeners(creator, Boolean(command.parent.opts().json))
 
     // 7. 执行创建流程
-    await creator.create(options)
+    await creator.create(cliOptions)
 
 
     // 8. 显示成功信息
@@ -100,38 +111,46 @@ async function createProject(projectName, options) {
     } else {
       logger.error('详细信息:', error.stack)
     }
+
+    if (logger.file) {
+      logger.error(`完整日志: ${logger.file}`)
+    }
     
     process.exit(1)
   }
 }
 
 /**
- * 设置Creator事件监听器
+ * 设置Creator事件监听器，各步骤的进度由Creator以任务形式显示
+ *
+ * --json时每个事件输出为一行JSON：{type: 'creation', event, project, timestamp, ...}，
+ * error事件的error为 {name, message, code, stack}。
+ *
  * @param {Creator} creator - Creator实例
+ * @param {boolean} json - 是否输出JSON事件
  */
-function setupCreatorEventListeners(creator) {
+function setupCreatorEventListeners(creator, json) {
   creator.on('creation', (event) => {
+    if (json) {
+      const { error, ...payload } = event
+      console.log(JSON.stringify({
+        type: 'creation',
+        ...payload,
+        project: creator.name,
+        timestamp: new Date().toISOString(),
+        ...(error ? { error: logger.serializeArg(error) } : {})
+      }))
+      return
+    }
+
     switch (event.event) {
       case 'start':
         logger.info('开始创建项目...')
         break
-      case 'project-init':
-        logger.progress('初始化项目结构')
-        break
-      case 'deps-install':
-        logger.progress('安装依赖包')
-        break
-      case 'generate-files':
-        logger.progress('生成项目文件')
-        break
-      case 'completion-hooks':
-        logger.progress('执行完成钩子')
-        break
-      case 'git-init':
-        logger.progress('初始化Git仓库')
-        break
       case 'done':
-        logger.success('项目创建完成!')
+        if (!event.dryRun) {
+          logger.success('项目创建完成!')
+        }
         break
       case 'error':
         logger.error('创建过程中出现错误')
@@ -169,8 +188,16 @@ function determineProjectContext(projectName, cliOptions) {
  */
 async function loadPromptModules() {
   const modules = [
-  ]
-  
+    'babel',
+    'typescript',
+    'router',
+    'state',
+    'cssPreprocessors',
+    'linter',
+    'unit',
+    'gitHooks'
+  ].map(file => require(`../promptModules/${file}`))
+
   return modules.filter(module => module !== null)
 }
 
@@ -225,5 +252,10 @@ function parseCliOptions(options) {
     }
   }
 
+  // 校验冲突策略
+  if (options.conflict && !ConflictResolver.POLICIES.includes(options.conflict)) {
+    throw new Error(`无效的冲突策略: ${options.conflict}，可选值: ${ConflictResolver.POLICIES.join(', ')}`)
+  }
+
   return cliOptions
 }
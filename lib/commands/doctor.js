@@ -0,0 +1,96 @@
+/**
+ * DoctorCommand - 项目健康检查
+ *
+ * 命令格式：
+ *   frontend doctor [--fix]
+ *
+ * 检查当前项目的锁文件、Node.js版本、插件安装情况和关键文件，检查项见 lib/core/doctor.js。
+ *
+ * 选项：
+ *   --fix    自动修复可以修复的问题，修复后重新检查
+ *
+ * 存在未解决的问题时以状态码1退出，便于在CI中使用。
+ */
+const chalk = require('chalk')
+
+const logger = require('../utils/logger')
+const Doctor = require('../core/doctor')
+
+/**
+ * 注册Doctor命令
+ * @param {Object} program - Commander实例
+ */
+module.exports = function(program) {
+  program
+    .command('doctor')
+    .description('检查当前项目的健康状况')
+    .option('--fix', '自动修复可以修复的问题')
+    .action(runDoctor)
+}
+
+/**
+ * 执行健康检查
+ * @param {Object} options - 命令行选项
+ */
+async function runDoctor(options) {
+  try {
+    const doctor = new Doctor(process.cwd())
+    logger.info(`🩺 检查项目: ${doctor.context}`)
+
+    let results = await doctor.run()
+    printResults(results)
+
+    const fixable = results.filter(result => result.status === 'fail' && result.fix)
+
+    if (options.fix && fixable.length > 0) {
+      for (const { title, fix } of fixable) {
+        logger.info(`🔧 ${fix.description}`)
+        try {
+          await fix.run()
+        } catch (error) {
+          logger.error(`修复"${title}"失败:`, error.message)
+        }
+      }
+
+      logger.info('🩺 重新检查...')
+      results = await doctor.run()
+      printResults(results)
+    } else if (fixable.length > 0) {
+      logger.info(`运行 ${chalk.cyan('frontend doctor --fix')} 自动修复 ${fixable.length} 个问题`)
+    }
+
+    if (results.some(result => result.status === 'fail')) {
+      process.exit(1)
+    }
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+}
+
+/**
+ * 输出检查结果
+ * @param {Array<Object>} results - 检查结果
+ */
+function printResults(results) {
+  logger.newline()
+
+  results.forEach(({ title, status, message, fix }) => {
+    if (status === 'pass') {
+      console.log(`  ${chalk.green('✔')} ${title}`)
+    } else if (status === 'skip') {
+      console.log(`  ${chalk.gray('-')} ${chalk.gray(`${title}（跳过: ${message}）`)}`)
+    } else {
+      console.log(`  ${chalk.red('✖')} ${title}`)
+      console.log(`      ${message}`)
+      if (fix) {
+        console.log(`      ${chalk.cyan(`可修复: ${fix.description}`)}`)
+      }
+    }
+  })
+
+  const count = status => results.filter(result => result.status === status).length
+  logger.newline()
+  console.log(`  ${chalk.green(`${count('pass')} 项通过`)}，${chalk.red(`${count('fail')} 项失败`)}，${count('skip')} 项跳过`)
+  logger.newline()
+}
@@ -0,0 +1,140 @@
+/**
+ * InfoCommand - 输出环境信息
+ *
+ * 命令格式：
+ *   frontend info [--json]
+ *
+ * 输出内容（提交问题时附上）：
+ * - frontend-cli版本
+ * - Node.js版本和操作系统
+ * - PATH中可用的npm/yarn/pnpm/Berry/bun及其版本和镜像源
+ * - git版本
+ * - 当前目录 .frontendrc.json 的摘要
+ *
+ * 使用全局选项 --json 时以JSON格式输出，便于粘贴或被其他工具处理。
+ */
+const os = require('os')
+const chalk = require('chalk')
+
+const logger = require('../utils/logger')
+const git = require('../utils/git')
+const ProjectConfig = require('../utils/projectConfig')
+const PackageManager = require('../utils/PackageManager')
+const { getBundler } = require('../core/presets')
+const { version } = require('../../package.json')
+
+/**
+ * 注册Info命令
+ * @param {Object} program - Commander实例
+ */
+module.exports = function(program) {
+  program
+    .command('info')
+    .description('输出环境信息，提交问题时请附上')
+    .action(printInfo)
+}
+
+/**
+ * 输出环境信息
+ * @param {Object} options - 命令行选项
+ * @param {Object} command - Commander命令实例，用于读取全局选项
+ */
+async function printInfo(options, command) {
+  try {
+    const info = await collectInfo(process.cwd())
+
+    if (command.parent.opts().json) {
+      console.log(JSON.stringify(info, null, 2))
+      return
+    }
+
+    printSection('环境', {
+      'frontend-cli': info.cli.version,
+      'Node.js': `${info.node.version} (${info.node.path})`,
+      '操作系统': `${info.os.name} ${info.os.release} (${info.os.platform} ${info.os.arch})`,
+      'Git': info.git.version || chalk.gray('未安装')
+    })
+
+    printSection('包管理器', info.packageManagers.reduce((fields, manager) => {
+      fields[manager.name] = manager.available
+        ? `${manager.version} (registry: ${manager.registry})`
+        : chalk.gray('未安装')
+      return fields
+    }, {}))
+
+    if (info.project && info.project.error) {
+      printSection('项目', { [ProjectConfig.CONFIG_FILE]: chalk.red(info.project.error) })
+    } else if (info.project) {
+      printSection(`项目 (${ProjectConfig.CONFIG_FILE})`, {
+        '名称': info.project.name,
+        '框架': info.project.framework,
+        '构建工具': info.project.bundler,
+        '包管理器': info.project.packageManager,
+        '插件': info.project.plugins.join(', ') || chalk.gray('无'),
+        '创建时间': info.project.created
+      })
+    } else {
+      printSection('项目', { [ProjectConfig.CONFIG_FILE]: chalk.gray('当前目录不是frontend-cli创建的项目') })
+    }
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+}
+
+/**
+ * 收集环境信息
+ * @param {string} cwd - 当前目录
+ * @returns {Promise<Object>} 环境信息
+ */
+async function collectInfo(cwd) {
+  const packageManagers = []
+  for (const name of PackageManager.SUPPORTED_MANAGERS) {
+    packageManagers.push(await new PackageManager({ context: cwd, packageManager: name }).getManagerInfo())
+  }
+
+  return {
+    cli: { version },
+    node: { version: process.version, path: process.execPath },
+    os: { name: os.type(), release: os.release(), platform: process.platform, arch: os.arch() },
+    git: { version: await git.getVersion() },
+    packageManagers,
+    project: await collectProjectInfo(cwd)
+  }
+}
+
+/**
+ * 读取项目配置摘要
+ * @param {string} cwd - 当前目录
+ * @returns {Promise<Object|null>} 项目信息，不是frontend-cli项目时返回null
+ */
+async function collectProjectInfo(cwd) {
+  if (!ProjectConfig.exists(cwd)) return null
+
+  try {
+    const { name, preset, bundler, created } = await ProjectConfig.load(cwd)
+    return {
+      name,
+      framework: preset.framework || 'vue',
+      bundler: bundler || getBundler(preset),
+      packageManager: preset.options?.packageManager || 'npm',
+      plugins: Object.keys(preset.plugins),
+      created
+    }
+  } catch (error) {
+    return { error: error.message }
+  }
+}
+
+/**
+ * 输出一组字段
+ * @param {string} title - 标题
+ * @param {Object} fields - 字段 {名称: 值}
+ */
+function printSection(title, fields) {
+  console.log(chalk.bold(`${title}:`))
+  Object.entries(fields).forEach(([name, value]) => {
+    console.log(`  ${name}: ${value === undefined ? chalk.gray('-') : value}`)
+  })
+  logger.newline()
+}
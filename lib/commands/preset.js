@@ -0,0 +1,209 @@
+/**
+ * PresetCommand - 预设管理命令
+ *
+ * 命令格式：
+ *   frontend preset list                 列出内置预设和已保存的预设
+ *   frontend preset show <name>          查看预设内容
+ *   frontend preset save <name> [options]
+ *   frontend preset delete <name> [-y]
+ *
+ * save选项：
+ *   --file <path>            从JSON文件读取预设
+ *   -i, --inline-preset <json> 使用内联JSON预设
+ *   -d, --description <text> 预设描述，显示在预设列表中
+ *   未指定时读取当前项目 .frontendrc.json 中记录的预设
+ *
+ * 已保存的预设存放在用户配置文件 ~/.frontendrc 中。
+ */
+const path = require('path')
+const fs = require('fs-extra')
+const chalk = require('chalk')
+const inquirer = require('inquirer')
+
+const logger = require('../utils/logger')
+const config = require('../utils/config')
+const { getBuiltinPresets, describePreset } = require('../core/presets')
+const { assertValidPreset, formatIssue } = require('../core/presetSchema')
+
+/**
+ * 注册Preset命令
+ * @param {Object} program - Commander实例
+ */
+module.exports = function(program) {
+  const preset = program
+    .command('preset')
+    .description('管理保存在 ~/.frontendrc 中的预设')
+
+  preset
+    .command('list')
+    .description('列出所有可用的预设')
+    .action(wrapAction(listPresets))
+
+  preset
+    .command('show <name>')
+    .description('查看预设内容')
+    .action(wrapAction(showPreset))
+
+  preset
+    .command('save <name>')
+    .description('保存预设（默认读取当前项目 .frontendrc.json 中的预设）')
+    .option('--file <path>', '从JSON文件读取预设')
+    .option('-i, --inline-preset <json>', '使用内联JSON预设')
+    .option('-d, --description <text>', '预设描述，显示在预设列表中')
+    .option('-f, --force', '覆盖同名预设')
+    .action(wrapAction(savePreset))
+
+  preset
+    .command('delete <name>')
+    .alias('rm')
+    .description('删除已保存的预设')
+    .option('-y, --yes', '跳过确认')
+    .action(wrapAction(deletePreset))
+}
+
+/**
+ * 统一处理命令错误
+ * @param {Function} fn - 命令处理函数
+ * @returns {Function} 包装后的处理函数
+ */
+function wrapAction(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args)
+    } catch (error) {
+      logger.error(error.message)
+      process.exit(1)
+    }
+  }
+}
+
+/**
+ * 列出预设
+ */
+function listPresets() {
+  const builtin = getBuiltinPresets()
+  const saved = config.getPresets()
+
+  logger.info('内置预设:')
+  Object.keys(builtin).forEach(name => {
+    console.log(`  ${chalk.cyan(name)} ${chalk.gray(describePreset(builtin[name]))}`)
+  })
+
+  logger.newline()
+  logger.info(`已保存的预设 (${config.getRcPath()}):`)
+  const names = Object.keys(saved)
+  if (names.length === 0) {
+    console.log(chalk.gray('  (无)'))
+  }
+  names.forEach(name => {
+    console.log(`  ${chalk.cyan(name)} ${chalk.gray(describePreset(saved[name]))}`)
+  })
+}
+
+/**
+ * 查看预设
+ * @param {string} name - 预设名称
+ */
+function showPreset(name) {
+  const presets = { ...getBuiltinPresets(), ...config.getPresets() }
+
+  if (!presets[name]) {
+    throw new Error(`找不到预设: ${name}`)
+  }
+
+  console.log(JSON.stringify(presets[name], null, 2))
+}
+
+/**
+ * 保存预设
+ * @param {string} name - 预设名称
+ * @param {Object} options - 命令行选项
+ */
+async function savePreset(name, options) {
+  if (getBuiltinPresets()[name]) {
+    throw new Error(`不能与内置预设重名: ${name}`)
+  }
+
+  if (config.getPresets()[name] && !options.force) {
+    throw new Error(`预设 ${name} 已存在，使用 --force 覆盖`)
+  }
+
+  const preset = await readPresetSource(options)
+
+  const warnings = assertValidPreset(preset)
+  if (warnings.length > 0) {
+    logger.warn(`预设配置存在 ${warnings.length} 个问题:\n${warnings.map(formatIssue).join('\n')}`)
+  }
+
+  await config.savePreset(name, {
+    ...preset,
+    name,
+    ...(options.description ? { description: options.description } : {})
+  })
+
+  logger.success(`✅ 预设 ${name} 已保存到 ${config.getRcPath()}`)
+}
+
+/**
+ * 读取要保存的预设内容
+ * @param {Object} options - 命令行选项
+ * @returns {Promise<Object>} 预设配置
+ */
+async function readPresetSource(options) {
+  if (options.inlinePreset) {
+    try {
+      return JSON.parse(options.inlinePreset)
+    } catch (error) {
+      throw new Error('无效的JSON格式内联预设')
+    }
+  }
+
+  if (options.file) {
+    const filePath = path.resolve(options.file)
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`文件不存在: ${filePath}`)
+    }
+    return await fs.readJson(filePath)
+  }
+
+  const projectConfigPath = path.join(process.cwd(), '.frontendrc.json')
+  if (!(await fs.pathExists(projectConfigPath))) {
+    throw new Error('当前目录没有 .frontendrc.json，请使用 --file 或 --inline-preset 指定预设')
+  }
+
+  const { preset } = await fs.readJson(projectConfigPath)
+  if (!preset) {
+    throw new Error('.frontendrc.json 中没有记录预设')
+  }
+  return preset
+}
+
+/**
+ * 删除预设
+ * @param {string} name - 预设名称
+ * @param {Object} options - 命令行选项
+ */
+async function deletePreset(name, options) {
+  if (getBuiltinPresets()[name]) {
+    throw new Error(`不能删除内置预设: ${name}`)
+  }
+
+  if (!config.getPresets()[name]) {
+    throw new Error(`找不到已保存的预设: ${name}`)
+  }
+
+  if (!options.yes) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `确定删除预设 ${name}?`,
+        default: false
+      }
+    ])
+    if (!confirm) return
+  }
+
+  await config.deletePreset(name)
+  logger.success(`✅ 预设 ${name} 已删除`)
+}
@@ -0,0 +1,49 @@
+/**
+ * UpgradeCommand - 检查并升级项目中的插件
+ *
+ * 命令格式：
+ *   frontend upgrade [plugin] [options]
+ *
+ * 不指定插件且不带 --all 时只列出 .frontendrc.json 中第三方插件的当前/兼容/最新版本。
+ *
+ * 选项：
+ *   --next         next标签的版本比latest新时升级到next版本
+ *   --all          升级所有可升级的插件
+ *   -f, --force    跳过Git工作区检查
+ *
+ * 插件提供 <id>/migrator 时，升级后会以升级前的版本执行迁移器。
+ */
+const logger = require('../utils/logger')
+const Upgrader = require('../core/upgrader')
+
+/**
+ * 注册Upgrade命令
+ * @param {Object} program - Commander实例
+ */
+module.exports = function(program) {
+  program
+    .command('upgrade [plugin]')
+    .description('检查并升级当前项目中的插件')
+    .option('--next', '升级到next标签的版本（比latest新时）')
+    .option('--all', '升级所有可升级的插件')
+    .option('-f, --force', '跳过Git工作区检查')
+    .action(upgradePlugins)
+}
+
+/**
+ * 升级插件
+ * @param {string} [plugin] - 插件ID或简写
+ * @param {Object} options - 命令行选项
+ */
+async function upgradePlugins(plugin, options) {
+  try {
+    await new Upgrader(process.cwd()).upgrade(plugin, {
+      next: Boolean(options.next),
+      all: Boolean(options.all),
+      force: Boolean(options.force)
+    })
+  } catch (error) {
+    logger.error(error.message)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Transaction 回滚测试
+ */
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const logger = require('../../utils/logger')
+const Transaction = require('../transaction')
+
+describe('Transaction', () => {
+  let tmpDir
+  let transaction
+
+  /**
+   * 项目内路径
+   * @param {...string} paths - 路径片段
+   * @returns {string}
+   */
+  const resolve = (...paths) => path.join(tmpDir, ...paths)
+
+  beforeAll(() => {
+    logger.setSilent(true)
+  })
+
+  afterAll(() => {
+    logger.setSilent(false)
+  })
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'frontend-transaction-'))
+    transaction = new Transaction()
+  })
+
+  afterEach(async () => {
+    await transaction.commit()
+    await fs.remove(tmpDir)
+  })
+
+  test('回滚时删除新建的文件和目录', async () => {
+    await transaction.writeFile(resolve('src', 'components', 'App.vue'), '<template />')
+
+    await transaction.rollback()
+
+    expect(await fs.readdir(tmpDir)).toEqual([])
+  })
+
+  test('回滚时恢复被覆盖和删除的文件', async () => {
+    await fs.outputFile(resolve('package.json'), '{"name":"old"}')
+    await fs.outputFile(resolve('README.md'), '# old')
+
+    await transaction.writeFile(resolve('package.json'), '{"name":"new"}')
+    await transaction.writeFile(resolve('package.json'), '{"name":"newer"}')
+    await transaction.removeFile(resolve('README.md'))
+
+    await transaction.rollback()
+
+    expect(await fs.readFile(resolve('package.json'), 'utf8')).toBe('{"name":"old"}')
+    expect(await fs.readFile(resolve('README.md'), 'utf8')).toBe('# old')
+  })
+
+  test('回滚时删除外部命令新建的顶层条目，保留已有条目', async () => {
+    await fs.outputFile(resolve('existing.txt'), 'keep')
+
+    await transaction.track(tmpDir, async () => {
+      await fs.outputFile(resolve('node_modules', 'vue', 'index.js'), '')
+      await fs.outputFile(resolve('package-lock.json'), '{}')
+    })
+
+    await transaction.rollback()
+
+    expect(await fs.readdir(tmpDir)).toEqual(['existing.txt'])
+  })
+
+  test('回滚时恢复被外部命令修改的已有目录', async () => {
+    const nodeModules = resolve('node_modules')
+    await fs.outputFile(path.join(nodeModules, 'vue', 'package.json'), '{"version":"3.3.0"}')
+
+    await transaction.recordDirectory(nodeModules)
+    await transaction.track(tmpDir, async () => {
+      await fs.outputFile(path.join(nodeModules, 'vue', 'package.json'), '{"version":"3.4.0"}')
+      await fs.outputFile(path.join(nodeModules, 'pinia', 'package.json'), '{}')
+    })
+
+    await transaction.rollback()
+
+    expect(await fs.readdir(nodeModules)).toEqual(['vue'])
+    expect(await fs.readFile(path.join(nodeModules, 'vue', 'package.json'), 'utf8')).toBe('{"version":"3.3.0"}')
+  })
+
+  test('回滚时恢复被清空的目录', async () => {
+    await fs.outputFile(resolve('src', 'main.js'), 'old')
+
+    await transaction.backupDirectory(tmpDir)
+    await transaction.writeFile(resolve('src', 'main.ts'), 'new')
+
+    await transaction.rollback()
+
+    expect(await fs.readdir(resolve('src'))).toEqual(['main.js'])
+    expect(await fs.readFile(resolve('src', 'main.js'), 'utf8')).toBe('old')
+  })
+
+  test('提交后删除备份，不再回滚', async () => {
+    await fs.outputFile(resolve('package.json'), 'old')
+    await transaction.writeFile(resolve('package.json'), 'new')
+    const { backupRoot } = transaction
+
+    await transaction.commit()
+    await transaction.rollback()
+
+    expect(await fs.pathExists(backupRoot)).toBe(false)
+    expect(await fs.readFile(resolve('package.json'), 'utf8')).toBe('new')
+  })
+})
@@ -0,0 +1,256 @@
+/**
+ * ConflictResolver - 合并模式下的文件冲突处理
+ *
+ * 合并到已有目录时，逐个检查将要写入的文件：
+ * 1. 文件不存在或内容相同 → 直接写入
+ * 2. package.json等JSON文件 → 深度合并，已有的字段值优先
+ * 3. 其他文件 → 按策略处理：覆盖 / 保留 / 查看差异 / 写入为 .new
+ *
+ * 冲突判断始终基于本次创建开始前磁盘上的原始内容，
+ * 同一文件在创建过程中多次写入（如package.json）不会被当作新的冲突。
+ */
+
+const fs = require('fs-extra')
+const path = require('path')
+const chalk = require('chalk')
+const inquirer = require('inquirer')
+const { createTwoFilesPatch } = require('diff')
+
+const logger = require('../utils/logger')
+const { deepMerge } = require('../utils/object')
+
+// 支持的非交互策略
+const POLICIES = ['prompt', 'overwrite', 'keep', 'new']
+// 合并时以生成内容为准的JSON文件（CLI自身的配置）
+const GENERATED_WINS = ['.frontendrc.json']
+
+class ConflictResolver {
+  /**
+   * 构造函数
+   * @param {string} context - 项目路径
+   * @param {Object} options - 选项
+   * @param {string} options.policy - 冲突策略 prompt/overwrite/keep/new
+   */
+  constructor(context, options = {}) {
+    this.context = context
+    this.policy = options.policy || (process.stdout.isTTY && !process.env.CI ? 'prompt' : 'new')
+
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`无效的冲突策略: ${this.policy}，可选值: ${POLICIES.join(', ')}`)
+    }
+
+    // 创建开始前的原始内容 {相对路径: Buffer|null}
+    this.originals = {}
+    // 已做出的决定 {相对路径: 'overwrite'|'keep'|'new'|'merge'}
+    this.decisions = {}
+    // "全部覆盖"/"全部保留"选择后的策略
+    this.globalDecision = null
+  }
+
+  /**
+   * 解析一次文件写入
+   * @param {string} file - 相对路径
+   * @param {string|Buffer} content - 生成的内容
+   * @returns {Promise<{file: string, content: string|Buffer}|null>} 实际要写入的文件，null表示跳过
+   */
+  async resolve(file, content) {
+    const original = await this.getOriginal(file)
+
+    // 原先不存在的文件没有冲突
+    if (original === null) {
+      return { file, content }
+    }
+
+    if (Buffer.from(content).equals(original)) {
+      return null
+    }
+
+    if (this.isJsonFile(file)) {
+      const merged = this.mergeJson(file, original, content)
+      if (merged !== null) {
+        this.decisions[file] = 'merge'
+        return { file, content: merged }
+      }
+    }
+
+    const decision = await this.decide(file, original, content)
+
+    switch (decision) {
+      case 'overwrite':
+        return { file, content }
+      case 'new':
+        return { file: `${file}.new`, content }
+      default:
+        return null
+    }
+  }
+
+  /**
+   * 输出冲突处理汇总
+   */
+  printSummary() {
+    const labels = {
+      merge: '已合并',
+      overwrite: '已覆盖',
+      keep: '已保留原文件',
+      new: '已写入 .new'
+    }
+
+    const entries = Object.entries(this.decisions)
+    if (entries.length === 0) return
+
+    logger.info('🔀 合并冲突处理结果:')
+    entries.forEach(([file, decision]) => {
+      const target = decision === 'new' ? `${file}.new` : file
+      logger.info(`   ${labels[decision]}: ${target}`)
+    })
+  }
+
+  // ========== 内部方法 ==========
+
+  /**
+   * 获取文件在创建开始前的原始内容
+   * @param {string} file - 相对路径
+   * @returns {Promise<Buffer|null>} 原始内容，不存在时返回null
+   */
+  async getOriginal(file) {
+    if (!(file in this.originals)) {
+      const filePath = path.join(this.context, file)
+      this.originals[file] = (await fs.pathExists(filePath)) ? await fs.readFile(filePath) : null
+    }
+    return this.originals[file]
+  }
+
+  /**
+   * 决定冲突文件的处理方式
+   * @param {string} file - 相对路径
+   * @param {Buffer} original - 原始内容
+   * @param {string|Buffer} content - 生成的内容
+   * @returns {Promise<string>} overwrite/keep/new
+   */
+  async decide(file, original, content) {
+    if (this.decisions[file]) {
+      return this.decisions[file]
+    }
+
+    let decision = this.globalDecision || this.policy
+
+    if (decision === 'prompt') {
+      // 询问期间暂停任务的加载动画
+      decision = await logger.suspend(() => this.promptDecision(file, original, content))
+    } else {
+      logger.debug(`文件冲突 ${file}，按策略处理: ${decision}`)
+    }
+
+    this.decisions[file] = decision
+    return decision
+  }
+
+  /**
+   * 交互式询问冲突处理方式
+   * @param {string} file - 相对路径
+   * @param {Buffer} original - 原始内容
+   * @param {string|Buffer} content - 生成的内容
+   * @returns {Promise<string>} overwrite/keep/new
+   */
+  async promptDecision(file, original, content) {
+    const canDiff = !Buffer.isBuffer(content)
+
+    for (;;) {
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `文件 ${chalk.cyan(file)} 已存在，请选择操作:`,
+          choices: [
+            { name: '覆盖', value: 'overwrite' },
+            { name: '保留原文件', value: 'keep' },
+            ...(canDiff ? [{ name: '查看差异', value: 'diff' }] : []),
+            { name: `写入为 ${file}.new`, value: 'new' },
+            new inquirer.Separator(),
+            { name: '覆盖所有剩余冲突', value: 'overwrite-all' },
+            { name: '保留所有剩余冲突的原文件', value: 'keep-all' }
+          ]
+        }
+      ])
+
+      if (action === 'diff') {
+        this.printDiff(file, original.toString(), content)
+        continue
+      }
+
+      if (action === 'overwrite-all' || action === 'keep-all') {
+        this.globalDecision = action.replace('-all', '')
+        return this.globalDecision
+      }
+
+      return action
+    }
+  }
+
+  /**
+   * 输出彩色差异
+   * @param {string} file - 相对路径
+   * @param {string} oldContent - 原始内容
+   * @param {string} newContent - 生成的内容
+   */
+  printDiff(file, oldContent, newContent) {
+    const patch = createTwoFilesPatch(`a/${file}`, `b/${file}`, oldContent, newContent)
+
+    patch.split('\n').forEach(line => {
+      if (line.startsWith('+') && !line.startsWith('+++')) {
+        console.log(chalk.green(line))
+      } else if (line.startsWith('-') && !line.startsWith('---')) {
+        console.log(chalk.red(line))
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line))
+      } else {
+        console.log(line)
+      }
+    })
+  }
+
+  /**
+   * 判断是否为可深度合并的JSON文件
+   * @param {string} file - 相对路径
+   * @returns {boolean}
+   */
+  isJsonFile(file) {
+    return file.endsWith('.json') || /(^|\/)\.[a-z]+rc$/.test(file)
+  }
+
+  /**
+   * 深度合并JSON文件，已有文件中的值优先（CLI自身配置文件除外）
+   * @param {string} file - 相对路径
+   * @param {Buffer} original - 原始内容
+   * @param {string|Buffer} content - 生成的内容
+   * @returns {string|null} 合并结果，无法解析时返回null
+   */
+  mergeJson(file, original, content) {
+    let existing
+    let generated
+    try {
+      existing = JSON.parse(original.toString())
+      generated = JSON.parse(content.toString())
+    } catch (error) {
+      logger.debug(`${file} 不是合法JSON，按普通文件处理冲突`)
+      return null
+    }
+
+    if (GENERATED_WINS.includes(file)) {
+      return JSON.stringify(deepMerge(existing, generated), null, 2) + '\n'
+    }
+
+    const merged = deepMerge(generated, existing, {
+      onConflict: (keyPath, generatedValue, existingValue) => {
+        logger.debug(`${file}: 保留已有的 ${keyPath.join('.')} = ${JSON.stringify(existingValue)}（生成值 ${JSON.stringify(generatedValue)}）`)
+      }
+    })
+
+    return JSON.stringify(merged, null, 2) + '\n'
+  }
+}
+
+ConflictResolver.POLICIES = POLICIES
+
+module.exports = ConflictResolver
@@ -23,6 +23,19 @@ const fs = require('fs-extra')
 const logger = require('../utils/logger')
 const fileSystem = require('../utils/fileSystem')
 const PackageManager = require('../utils/PackageManager')
+const config = require('../utils/config')
+const ProjectConfig = require('../utils/projectConfig')
+const git = require('../utils/git')
+const Generator = require('./generator')
+const PromptModuleAPI = require('./promptModuleAPI')
+const Transaction = require('./transaction')
+const ConflictResolver = require('./conflictResolver')
+const { formatFileTree, formatSize, getByteLength } = require('../utils/fileTree')
+const { isBuiltinPlugin, loadGenerator } = require('./pluginResolver')
+const { FRAMEWORKS, BUNDLERS, DEFAULT_PRESET_NAME, DEFAULT_BUNDLER, getBuiltinPresets, getFramework, getBundler, getPresetPlugins, describePreset } = require('./presets')
+const { isRemotePreset, loadRemotePreset } = require('./remotePreset')
+const { assertValidPreset, formatIssue } = require('./presetSchema')
+const { buildGitignore } = require('./gitignore')
 
 class Creator extends EventEmitter {
   /**
@@ -39,64 +52,171 @@ class Creator extends EventEmitter {
     this.promptModules = promptModules
     
     // 提示配置
+    this.featurePrompt = this.createFeaturePrompt()
     this.injectedPrompts = []
     this.promptCompleteCbs = []
     this.afterInvokeCbs = []
     this.afterAnyInvokeCbs = []
+
+    // 加载提示模块
+    const promptAPI = new PromptModuleAPI(this)
+    promptModules.forEach(module => module(promptAPI))
     
     // 状态管理
     this.preset = null
     this.answers = null
+    this.pkg = null
+    this.transaction = null
+
+    // 预览模式：所有写入只记录在内存中
+    this.dryRun = false
+    this.plannedFiles = {}
+
+    // 合并到已有目录时的冲突处理器
+    this.conflictResolver = null
+
+    // 本次创建是否初始化了Git仓库，决定是否进行初始提交
+    this.gitInitialized = false
+
+    // 离线模式：只使用包管理器缓存和已缓存的外部预设
+    this.offline = false
+    this.preferOffline = false
+
+    // 已执行的创建步骤，用于输出耗时统计
+    this.tasks = []
     
     logger.debug('Creator initialized', { name, context })
   }
 
   /**
    * 创建项目主流程
-   * @param {Object} cliOptions - 命令行选项
+   * @param {Object} cliOptions - 经parseCliOptions()解析的命令行选项（inlinePreset已是对象）
    * @param {Object} preset - 预设配置
    * @returns {Promise<void>}
    */
   async create(cliOptions = {}, preset = null) {
+    this.transaction = new Transaction()
+    this.tasks = []
+    this.dryRun = Boolean(cliOptions.dryRun)
+    this.offline = Boolean(cliOptions.offline)
+    this.preferOffline = Boolean(cliOptions.preferOffline)
+
+    // Ctrl+C取消时同样回滚
+    const onInterrupt = async () => {
+      logger.warn('⚠️  创建已取消，正在恢复目录...')
+      await this.rollback()
+      process.exit(130)
+    }
+    process.once('SIGINT', onInterrupt)
+
     try {
       this.emit('creation', { event: 'start' })
       logger.info(`🚀 开始创建项目: ${this.name}`)
 
       // 1. 解析预设配置
-      if (!preset) {
-        preset = await this.resolvePreset(cliOptions)
-      }
-      this.preset = preset
-      console.log('预设配置:', this.preset)
+      await this.step('解析预设', async () => {
+        if (!preset) {
+          preset = await this.resolvePreset(cliOptions)
+        }
+        this.preset = preset
+        logger.debug('预设配置:', this.preset)
+
+        // 校验预设结构，无效时在创建任何文件之前终止
+        this.validatePreset(preset)
+
+        // 确定包管理器并记录到预设，写入 .frontendrc.json 供后续命令使用
+        this.resolvePackageManager(cliOptions)
+
+        await this.validateGitOptions(cliOptions)
+      })
 
       // 2. 验证目标目录
-      await this.validateTargetDirectory(cliOptions)
+      await this.step('检查目标目录', () => this.validateTargetDirectory(cliOptions))
 
       // 3. 初始化项目结构
-      await this.initializeProject(cliOptions)
+      await this.step('初始化项目结构', () => this.initializeProject(cliOptions))
 
       // 4. 生成项目文件
-      await this.generateProjectFiles(cliOptions)
+      await this.step('生成项目文件', () => this.generateProjectFiles(cliOptions))
 
       // 5. 安装依赖
-      await this.installDependencies(cliOptions)
+      await this.step('安装依赖', () => this.installDependencies(cliOptions))
 
-      // 6. 执行完成钩子
-      await this.runCompletionHooks()
+      // 6. Git初始化，完成钩子可能依赖Git仓库（如安装Git钩子）
+      await this.step(cliOptions.git === false ? '写入 .gitignore' : '初始化Git仓库', () => this.initializeGit(cliOptions))
 
-      // 7. Git初始化
-      await this.initializeGit(cliOptions)
+      // 7. 执行完成钩子
+      await this.step('执行完成钩子', () => this.runCompletionHooks())
+
+      // 8. 初始提交，包含完成钩子生成的文件
+      if (this.gitInitialized) {
+        await this.step('初始提交', () => this.commitInitialFiles(cliOptions))
+      }
+
+      await this.transaction.commit()
+
+      if (this.conflictResolver) {
+        this.conflictResolver.printSummary()
+      }
+
+      logger.printTaskSummary(this.tasks)
+
+      if (this.dryRun) {
+        // JSON输出时文件列表由done事件提供
+        if (logger.format !== 'json') this.printDryRunSummary()
+        this.emit('creation', { event: 'done', dryRun: true, files: Object.keys(this.plannedFiles) })
+        return
+      }
 
       this.emit('creation', { event: 'done' })
       logger.success(`✅ 项目创建完成: ${this.name}`)
       
     } catch (error) {
       this.emit('creation', { event: 'error', error })
-      logger.error('项目创建失败:', error)
+      await this.rollback()
       throw error
+    } finally {
+      process.removeListener('SIGINT', onInterrupt)
     }
   }
 
+  /**
+   * 回滚本次创建对磁盘的所有修改
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    if (!this.transaction) return
+
+    this.emit('creation', { event: 'rollback' })
+    logger.info('↩️  正在回滚已执行的修改')
+
+    try {
+      await this.transaction.rollback()
+      logger.info('↩️  已恢复到创建前的状态')
+    } catch (error) {
+      logger.error('回滚失败:', error.message)
+    }
+  }
+
+  /**
+   * 以任务的形式执行创建步骤，显示进度和耗时
+   * @param {string} title - 步骤名称
+   * @param {Function} fn - 步骤函数
+   * @returns {Promise<void>}
+   */
+  async step(title, fn) {
+    this.tasks.push(await logger.task(title, fn))
+  }
+
+  /**
+   * 显示交互式提示，提示期间暂停任务的加载动画
+   * @param {Array<Object>} questions - inquirer问题
+   * @returns {Promise<Object>} 答案
+   */
+  prompt(questions) {
+    return logger.suspend(() => inquirer.prompt(questions))
+  }
+
   /**
    * 解析预设配置
    * @param {Object} cliOptions - 命令行选项
@@ -107,19 +227,54 @@ class Creator extends EventEmitter {
     if (cliOptions.preset) {
       return await this.loadPreset(cliOptions.preset)
     } else if (cliOptions.inlinePreset) {
-      return JSON.parse(cliOptions.inlinePreset)
+      return cliOptions.inlinePreset
     } else if (cliOptions.default) {
       return this.getDefaultPreset()
     } else {
-      return await this.interactivePresetSelection()
+      return await this.interactivePresetSelection(cliOptions)
+    }
+  }
+
+  /**
+   * 校验预设结构，输出警告，存在错误时抛出
+   * @param {Object} preset - 预设配置
+   */
+  validatePreset(preset) {
+    const warnings = assertValidPreset(preset)
+
+    if (warnings.length > 0) {
+      logger.warn(`预设配置存在 ${warnings.length} 个问题:\n${warnings.map(formatIssue).join('\n')}`)
     }
   }
 
+  /**
+   * 确定项目使用的包管理器，写入 preset.options.packageManager
+   * @param {Object} cliOptions - 命令行选项
+   */
+  resolvePackageManager(cliOptions) {
+    const { name, reason } = PackageManager.detect({
+      context: this.context,
+      packageManager: cliOptions.packageManager,
+      preset: this.preset
+    })
+
+    logger.info(`📦 使用包管理器: ${name}（${reason}）`)
+    const options = { ...this.preset.options, packageManager: name }
+
+    // Berry默认使用兼容性最好的node_modules
+    if (name === 'berry' && !options.nodeLinker) {
+      options.nodeLinker = 'node-modules'
+    }
+
+    this.preset = { ...this.preset, options }
+  }
+
   /**
    * 交互式预设选择
+   * @param {Object} cliOptions - 命令行选项
    * @returns {Promise<Object>} 用户选择的预设
    */
-  async interactivePresetSelection() {
+  async interactivePresetSelection(cliOptions = {}) {
     // 清屏并显示欢迎信息
     await fileSystem.clearConsole()
     
@@ -127,16 +282,17 @@ class Creator extends EventEmitter {
     
     // 收集所有可用的预设
     const presets = this.getAvailablePresets()
+    const savedPresets = config.getPresets()
     
     // 显示预设选择提示
-    const answers = await inquirer.prompt([
+    const answers = await this.prompt([
       {
         type: 'list',
         name: 'preset',
         message: '请选择预设配置:',
         choices: [
           ...Object.keys(presets).map(name => ({
-            name: `${name} (${presets[name].description})`,
+            name: `${name} (${describePreset(presets[name])})${savedPresets[name] ? ' [已保存]' : ''}`,
             value: name
           })),
           { name: '手动配置', value: '__manual__' }
@@ -145,7 +301,7 @@ class Creator extends EventEmitter {
     ])
 
     if (answers.preset === '__manual__') {
-      return await this.manualConfiguration()
+      return await this.manualConfiguration(cliOptions)
     } else {
       return presets[answers.preset]
     }
@@ -153,9 +309,10 @@ class Creator extends EventEmitter {
 
   /**
    * 手动配置
+   * @param {Object} cliOptions - 命令行选项
    * @returns {Promise<Object>} 手动配置的预设
    */
-  async manualConfiguration() {
+  async manualConfiguration(cliOptions = {}) {
     const preset = {
       name: 'manual',
       description: '手动配置',
@@ -164,67 +321,169 @@ class Creator extends EventEmitter {
       options: {}
     }
 
-    // 收集功能特性选择
-    const features = await this.collectFeatureSelections()
-    preset.plugins = this.featuresToPlugins(features)
+    // 收集框架、功能特性选择及各提示模块注入的提示
+    const answers = await this.collectFeatureSelections()
+    preset.framework = answers.framework
+    preset.template = getFramework(answers.framework).template
+    preset.options.bundler = answers.bundler
+    preset.plugins = this.featuresToPlugins(answers.features)
 
     // 收集其他配置
-    const additionalOptions = await this.collectAdditionalOptions()
-    Object.assign(preset, additionalOptions)
+    const additionalOptions = await this.collectAdditionalOptions(cliOptions)
+    Object.assign(preset.options, additionalOptions)
+
+    // 保存用户回答，供模板渲染使用
+    this.answers = { ...answers, ...additionalOptions }
+
+    // 由提示模块将回答写入预设
+    for (const cb of this.promptCompleteCbs) {
+      await cb(this.answers, preset)
+    }
+
+    // 询问是否保存为预设
+    await this.promptSavePreset(preset)
 
     return preset
   }
 
   /**
-   * 收集功能特性选择
-   * @returns {Promise<Array>} 选中的功能特性
+   * 询问是否将手动配置保存为用户预设
+   * @param {Object} preset - 手动配置的预设
+   * @returns {Promise<void>}
    */
-  async collectFeatureSelections() {
-    const featureChoices = this.promptModules
-      .filter(module => module.type === 'feature')
-      .map(module => ({
-        name: module.name,
-        value: module.value,
-        checked: module.checked || false
-      }))
-
-    const answers = await inquirer.prompt([
+  async promptSavePreset(preset) {
+    const builtinNames = Object.keys(getBuiltinPresets())
+    const savedPresets = config.getPresets()
+
+    const { save, presetName, presetDescription } = await this.prompt([
       {
-        type: 'checkbox',
-        name: 'features',
-        message: '请选择需要的功能特性:',
-        choices: featureChoices,
-        pageSize: 10
+        type: 'confirm',
+        name: 'save',
+        message: '是否将本次配置保存为预设，供以后的项目使用?',
+        default: false
+      },
+      {
+        type: 'input',
+        name: 'presetName',
+        message: '预设名称:',
+        when: answers => answers.save,
+        validate: input => {
+          const name = input.trim()
+          if (!name) return '预设名称不能为空'
+          if (builtinNames.includes(name)) return `不能与内置预设重名: ${name}`
+          return true
+        }
+      },
+      {
+        type: 'input',
+        name: 'presetDescription',
+        message: '预设描述（可选，显示在预设列表中）:',
+        when: answers => answers.save
       }
     ])
 
-    return answers.features
+    if (!save) return
+
+    const name = presetName.trim()
+    if (savedPresets[name]) {
+      const { overwrite } = await this.prompt([
+        {
+          type: 'confirm',
+          name: 'overwrite',
+          message: `预设 ${name} 已存在，是否覆盖?`,
+          default: false
+        }
+      ])
+      if (!overwrite) return
+    }
+
+    // 手动配置的预设自带通用描述，替换为用户填写的描述；未填写时不保存，由describePreset()按插件生成
+    const description = (presetDescription || '').trim() || undefined
+    await config.savePreset(name, { ...preset, name, description })
+    logger.success(`✅ 预设 ${name} 已保存到 ${config.getRcPath()}`)
   }
 
   /**
-   * 收集其他配置选项
-   * @returns {Promise<Object>} 配置选项
+   * 收集框架、构建工具和功能特性选择
+   * @returns {Promise<Object>} 用户回答，framework为选中的框架，bundler为构建工具，features为选中的功能特性
+   */
+  async collectFeatureSelections() {
+    const answers = await this.prompt([
+      {
+        type: 'list',
+        name: 'framework',
+        message: '请选择框架:',
+        choices: FRAMEWORKS.map(({ name, value }) => ({ name, value })),
+        default: 'vue'
+      },
+      {
+        type: 'list',
+        name: 'bundler',
+        message: '请选择构建工具:',
+        choices: BUNDLERS,
+        default: DEFAULT_BUNDLER
+      },
+      {
+        ...this.featurePrompt,
+        // 功能特性可通过frameworks声明只适用于部分框架
+        choices: answers => this.featurePrompt.choices.filter(choice =>
+          !choice.frameworks || choice.frameworks.includes(answers.framework)
+        )
+      },
+      ...this.injectedPrompts
+    ])
+
+    answers.features = answers.features || []
+    return answers
+  }
+
+  /**
+   * 创建功能特性多选提示，选项由提示模块通过injectFeature注入
+   * @returns {Object} inquirer提示配置
    */
-  async collectAdditionalOptions() {
-    const options = {}
+  createFeaturePrompt() {
+    return {
+      type: 'checkbox',
+      name: 'features',
+      message: '请选择需要的功能特性:',
+      choices: [],
+      pageSize: 10
+    }
+  }
 
-    // 包管理器选择
-    const packageManagerChoice = await inquirer.prompt([
+  /**
+   * 收集其他配置选项（写入 preset.options）
+   * @param {Object} cliOptions - 命令行选项
+   * @returns {Promise<Object>} 配置选项
+   */
+  async collectAdditionalOptions(cliOptions = {}) {
+    // 命令行已指定包管理器时不再询问
+    const options = await this.prompt([
       {
         type: 'list',
         name: 'packageManager',
         message: '选择包管理器:',
+        choices: PackageManager.SUPPORTED_MANAGERS.map(name => ({
+          name: name === 'berry' ? 'yarn berry (2+)' : name,
+          value: name
+        })),
+        // 默认选中自动检测的结果
+        default: () => PackageManager.detect({ context: this.context }).name,
+        when: () => !cliOptions.packageManager
+      },
+      {
+        type: 'list',
+        name: 'nodeLinker',
+        message: '选择Yarn的依赖安装方式:',
         choices: [
-          { name: 'npm', value: 'npm' },
-          { name: 'yarn', value: 'yarn' },
-          { name: 'pnpm', value: 'pnpm' }
+          { name: 'node_modules（兼容性最好）', value: 'node-modules' },
+          { name: 'Plug\'n\'Play（不生成node_modules，安装更快）', value: 'pnp' }
         ],
-        default: 'npm'
+        default: 'node-modules',
+        when: answers => (cliOptions.packageManager || answers.packageManager) === 'berry'
       }
     ])
 
-    options.packageManager = packageManagerChoice.packageManager
-
     return options
   }
 
@@ -239,11 +498,11 @@ class Creator extends EventEmitter {
     // 默认包含基础插件
     plugins['@frontend-cli/core'] = {}
 
-    // 根据功能特性添加相应插件
+    // 声明了plugin的功能特性直接映射为插件，其余由onPromptComplete回调处理
     features.forEach(feature => {
-      const module = this.promptModules.find(m => m.value === feature)
-      if (module && module.plugin) {
-        plugins[module.plugin] = module.pluginOptions || {}
+      const choice = this.featurePrompt.choices.find(c => c.value === feature)
+      if (choice && choice.plugin) {
+        plugins[choice.plugin] = choice.pluginOptions || {}
       }
     })
 
@@ -259,17 +518,23 @@ class Creator extends EventEmitter {
     const targetDir = this.context
 
     if (await fs.pathExists(targetDir)) {
-      if (cliOptions.force) {
+      if (this.dryRun) {
+        const action = cliOptions.force ? '覆盖' : cliOptions.merge ? '合并' : '覆盖或合并（需要选择）'
+        logger.info(`🔍 [预览] 目标目录已存在，实际创建时将${action}: ${targetDir}`)
+      } else if (cliOptions.force) {
         logger.info('🗑️  强制覆盖现有目录')
-        await fs.remove(targetDir)
+        await this.transaction.backupDirectory(targetDir)
       } else if (cliOptions.merge) {
         logger.info('🔄 合并现有目录')
+        this.conflictResolver = new ConflictResolver(targetDir, { policy: cliOptions.conflict })
       } else {
         const action = await this.promptDirectoryAction(targetDir)
         if (action === 'cancel') {
           throw new Error('用户取消操作')
         } else if (action === 'overwrite') {
-          await fs.remove(targetDir)
+          await this.transaction.backupDirectory(targetDir)
+        } else if (action === 'merge') {
+          this.conflictResolver = new ConflictResolver(targetDir, { policy: cliOptions.conflict })
         }
       }
     }
@@ -281,7 +546,7 @@ class Creator extends EventEmitter {
    * @returns {Promise<string>} 用户选择的操作
    */
   async promptDirectoryAction(targetDir) {
-    const answers = await inquirer.prompt([
+    const answers = await this.prompt([
       {
         type: 'list',
         name: 'action',
@@ -304,14 +569,18 @@ class Creator extends EventEmitter {
    */
   async initializeProject(cliOptions) {
     this.emit('creation', { event: 'project-init' })
-    logger.info('📁 初始化项目结构')
 
     // 创建项目目录
-    await fs.ensureDir(this.context)
+    if (!this.dryRun) {
+      await this.transaction.ensureDir(this.context)
+    }
 
     // 初始化package.json
     await this.initializePackageJson()
 
+    // 写入包管理器的项目配置
+    await this.initializePackageManagerConfig()
+
     // 保存配置
     await this.saveConfiguration()
   }
@@ -326,10 +595,9 @@ class Creator extends EventEmitter {
       version: '0.1.0',
       description: `Frontend project: ${this.name}`,
       private: true,
+      // dev/build等脚本由所选构建工具生成
       scripts: {
         start: 'npm run dev',
-        dev: 'webpack serve --mode development',
-        build: 'webpack --mode production',
         test: 'jest',
         lint: 'eslint src --ext .js,.jsx,.ts,.tsx'
       },
@@ -337,10 +605,20 @@ class Creator extends EventEmitter {
       dependencies: {}
     }
 
-    await fileSystem.writeFile(
-      path.join(this.context, 'package.json'),
-      JSON.stringify(pkg, null, 2)
-    )
+    this.pkg = pkg
+
+    await this.writeFile('package.json', JSON.stringify(pkg, null, 2))
+  }
+
+  /**
+   * 写入包管理器的项目配置，目前只有Berry需要 .yarnrc.yml
+   * @returns {Promise<void>}
+   */
+  async initializePackageManagerConfig() {
+    const { packageManager, nodeLinker } = this.preset.options || {}
+    if (packageManager !== 'berry') return
+
+    await this.writeFile(PackageManager.YARNRC_FILE, `nodeLinker: ${nodeLinker}\n`)
   }
 
   /**
@@ -351,13 +629,112 @@ class Creator extends EventEmitter {
     const configData = {
       preset: this.preset,
       name: this.name,
+      // 记录构建工具，供后续命令判断项目使用的工具链
+      bundler: getBundler(this.preset),
       created: new Date().toISOString()
     }
 
-    await fileSystem.writeFile(
-      path.join(this.context, '.frontendrc.json'),
-      JSON.stringify(configData, null, 2)
-    )
+    await this.writeFile(ProjectConfig.CONFIG_FILE, ProjectConfig.stringify(configData))
+  }
+
+  /**
+   * 生成项目文件
+   * @param {Object} cliOptions - 命令行选项
+   * @returns {Promise<void>}
+   */
+  async generateProjectFiles(cliOptions) {
+    this.emit('creation', { event: 'generate-files' })
+
+    // 第三方插件需要先安装才能加载其生成器
+    await this.installPlugins()
+
+    const plugins = this.resolvePlugins(this.preset.plugins)
+    const generator = new Generator(this.context, {
+      pkg: this.pkg,
+      plugins,
+      preset: this.preset,
+      projectName: this.name,
+      answers: this.answers || {}
+    })
+
+    let files
+    await logger.task(`执行 ${plugins.length} 个生成器`, async () => {
+      files = await generator.generate()
+    })
+    this.pkg = generator.pkg
+
+    // 收集插件注册的完成钩子，由runCompletionHooks()执行
+    this.afterInvokeCbs.push(...generator.afterInvokeCbs)
+    this.afterAnyInvokeCbs.push(...generator.afterAnyInvokeCbs)
+
+    await logger.task(`写入 ${Object.keys(files).length} 个文件`, async () => {
+      for (const [file, content] of Object.entries(files)) {
+        await this.writeFile(file, content)
+      }
+    })
+  }
+
+  /**
+   * 解析预设中的插件为可执行的生成器列表
+   * @param {Object} rawPlugins - 预设插件配置 {插件ID: 选项}
+   * @returns {Array} 插件列表 [{id, apply, options, dir}]
+   */
+  resolvePlugins(rawPlugins = {}) {
+    const plugins = getPresetPlugins({ ...this.preset, plugins: rawPlugins })
+
+    const list = Object.keys(plugins).reduce((list, id) => {
+      let generator
+      try {
+        generator = loadGenerator(id, this.context)
+      } catch (error) {
+        // 预览模式不安装插件，未安装的第三方插件只能跳过
+        if (!this.dryRun) throw error
+        logger.warn(`[预览] 插件 ${id} 未安装，已跳过其生成器`)
+        return list
+      }
+
+      if (generator) {
+        list.push({ id, options: plugins[id] || {}, ...generator })
+      } else {
+        logger.debug(`插件 ${id} 没有提供生成器，已跳过`)
+      }
+      return list
+    }, [])
+
+    // 外部预设自带的生成器最后执行，可以覆盖插件生成的内容
+    if (this.preset.generator) {
+      list.push({
+        id: `preset:${this.preset.name || 'custom'}`,
+        apply: require(this.preset.generator),
+        options: {},
+        dir: path.dirname(this.preset.generator)
+      })
+    }
+
+    return list
+  }
+
+  /**
+   * 安装预设中的第三方插件
+   * @returns {Promise<void>}
+   */
+  async installPlugins() {
+    const externalPlugins = Object.keys(this.preset.plugins || {})
+      .filter(id => !isBuiltinPlugin(id))
+
+    if (externalPlugins.length === 0 || this.dryRun) return
+
+    await logger.task(`安装插件: ${externalPlugins.join(', ')}`, async () => {
+      externalPlugins.forEach(id => {
+        const { version = 'latest' } = this.preset.plugins[id] || {}
+        this.pkg.devDependencies[id] = version
+      })
+
+      await this.writeFile('package.json', JSON.stringify(this.pkg, null, 2))
+
+      await this.recordInstallTargets()
+      await this.transaction.track(this.context, () => this.createPackageManager().install())
+    })
   }
 
   /**
@@ -366,74 +743,239 @@ class Creator extends EventEmitter {
    * @returns {Promise<void>}
    */
   async installDependencies(cliOptions) {
+    if (this.dryRun) {
+      logger.info('🔍 [预览] 跳过依赖安装')
+      return
+    }
+
     this.emit('creation', { event: 'deps-install' })
-    logger.info('📦 安装依赖包')
 
-    const packageManager = new PackageManager({
-      context: this.context,
-      packageManager: this.preset.options?.packageManager || 'npm'
-    })
+    await this.recordInstallTargets()
+    await this.transaction.track(this.context, () => this.createPackageManager().install())
+  }
+
+  /**
+   * 安装依赖前记录package.json、锁文件和已有的node_modules，
+   * 合并到已有项目时安装会修改这些文件，track()只能记录新建的条目
+   * @returns {Promise<void>}
+   */
+  async recordInstallTargets() {
+    const { lockFile } = this.createPackageManager().managerConfig
 
-    await packageManager.install()
+    await this.transaction.recordFile(path.join(this.context, 'package.json'))
+    await this.transaction.recordFile(path.join(this.context, lockFile))
+    await this.transaction.recordDirectory(path.join(this.context, 'node_modules'))
   }
 
+  /**
+   * 写入项目文件，写入前记录到事务日志以便回滚
+   * @param {string} file - 相对项目根目录的路径
+   * @param {string|Buffer} content - 文件内容
+   * @returns {Promise<void>}
+   */
+  async writeFile(file, content) {
+    if (this.dryRun) {
+      this.plannedFiles[file] = content
+      return
+    }
+
+    if (this.conflictResolver) {
+      const resolved = await this.conflictResolver.resolve(file, content)
+      if (!resolved) return
+      ;({ file, content } = resolved)
+    }
+
+    await this.transaction.writeFile(path.join(this.context, file), content)
+  }
 
+  /**
+   * 创建当前项目使用的包管理器实例
+   * @returns {PackageManager} 包管理器
+   */
+  createPackageManager() {
+    return new PackageManager({
+      context: this.context,
+      packageManager: this.preset.options?.packageManager || 'npm',
+      offline: this.offline,
+      preferOffline: this.preferOffline
+    })
+  }
 
   /**
    * 执行完成钩子
    * @returns {Promise<void>}
    */
   async runCompletionHooks() {
+    if (this.dryRun) {
+      const count = this.afterInvokeCbs.length + this.afterAnyInvokeCbs.length
+      logger.info(`🔍 [预览] 跳过 ${count} 个完成钩子`)
+      return
+    }
+
     this.emit('creation', { event: 'completion-hooks' })
-    logger.info('⚓ 执行完成钩子')
 
-    for (const cb of this.afterInvokeCbs) {
-      await cb()
-    }
+    await this.transaction.track(this.context, async () => {
+      for (const cb of this.afterInvokeCbs) {
+        await cb()
+      }
 
-    for (const cb of this.afterAnyInvokeCbs) {
-      await cb()
-    }
+      for (const cb of this.afterAnyInvokeCbs) {
+        await cb()
+      }
+    })
   }
 
   /**
-   * 初始化Git
+   * 初始化Git：写入 .gitignore 并初始化仓库，初始提交由commitInitialFiles()在完成钩子之后进行
+   *
+   * 目标目录已位于Git工作区内时不再嵌套初始化。Git命令失败不影响项目创建，只输出警告。
+   *
    * @param {Object} cliOptions - 命令行选项
    * @returns {Promise<void>}
    */
   async initializeGit(cliOptions) {
+    // 之后手动初始化仓库的项目同样需要 .gitignore
+    await this.writeGitignore()
+
     if (cliOptions.git === false) {
       return
     }
 
+    if (this.dryRun) {
+      logger.info('🔍 [预览] 跳过Git初始化')
+      return
+    }
+
     this.emit('creation', { event: 'git-init' })
-    logger.info('📋 初始化Git仓库')
+
+    if (!(await git.getVersion())) {
+      logger.warn('⚠️  未找到git，跳过Git初始化')
+      return
+    }
+
+    if (await git.isInsideWorkTree(this.context)) {
+      logger.info('📋 项目位于已有的Git仓库中，跳过Git初始化')
+      return
+    }
 
     try {
-      const { execa } = require('await-exec')
-      
-      await execa('git', ['init'], { cwd: this.context })
-      await execa('git', ['add', '.'], { cwd: this.context })
-      await execa('git', ['commit', '-m', 'Initial commit'], { cwd: this.context })
-      
-      logger.success('✅ Git仓库初始化完成')
+      await this.transaction.track(this.context, async () => {
+        await git.run(['init'], { cwd: this.context })
+
+        // 通过HEAD指定初始分支，兼容不支持 git init -b 的旧版本git
+        if (cliOptions.initialBranch) {
+          await git.run(['symbolic-ref', 'HEAD', `refs/heads/${cliOptions.initialBranch}`], { cwd: this.context })
+        }
+      })
+      this.gitInitialized = true
     } catch (error) {
       logger.warn('⚠️  Git仓库初始化失败:', error.message)
     }
   }
 
+  /**
+   * 提交项目的初始文件，未配置 user.name/user.email 时跳过并提示
+   * @param {Object} cliOptions - 命令行选项
+   * @returns {Promise<void>}
+   */
+  async commitInitialFiles(cliOptions) {
+    if (!this.gitInitialized) return
+
+    const missing = await this.getMissingGitIdentity()
+    if (missing.length > 0) {
+      logger.warn(`⚠️  Git未配置 ${missing.join('、')}，已初始化仓库但跳过初始提交。配置后手动提交:`)
+      missing.forEach(key => logger.warn(`    git config --global ${key} "${key === 'user.name' ? '你的名字' : 'you@example.com'}"`))
+      return
+    }
+
+    // --git 不带参数时为true
+    const message = typeof cliOptions.git === 'string' ? cliOptions.git : 'Initial commit'
+
+    try {
+      await git.run(['add', '-A'], { cwd: this.context })
+      // 初始提交不执行项目的Git钩子
+      await git.run(['commit', '--no-verify', '-m', message], { cwd: this.context })
+      logger.success('✅ Git仓库初始化完成')
+    } catch (error) {
+      logger.warn('⚠️  初始提交失败:', error.message)
+    }
+  }
+
+  /**
+   * 写入适合所选工具链的 .gitignore，模板自带或目录中已有时保持不变
+   * @returns {Promise<void>}
+   */
+  async writeGitignore() {
+    const exists = this.plannedFiles['.gitignore'] !== undefined ||
+      await fs.pathExists(path.join(this.context, '.gitignore'))
+    if (exists) return
+
+    await this.writeFile('.gitignore', buildGitignore(this.preset))
+  }
+
+  /**
+   * 获取提交所需但未配置的Git身份信息
+   * @returns {Promise<Array<string>>} 未配置的配置项（user.name、user.email）
+   */
+  async getMissingGitIdentity() {
+    const fields = { 'user.name': 'NAME', 'user.email': 'EMAIL' }
+    // 提交同时需要作者和提交者身份，环境变量优先于git配置，EMAIL对两者都有效
+    const fromEnv = field => ['AUTHOR', 'COMMITTER'].every(role =>
+      process.env[`GIT_${role}_${field}`] || (field === 'EMAIL' && process.env.EMAIL))
+
+    const missing = []
+    for (const [key, field] of Object.entries(fields)) {
+      if (!fromEnv(field) && !(await git.getConfig(key, this.context))) {
+        missing.push(key)
+      }
+    }
+    return missing
+  }
+
+  /**
+   * 校验Git相关的命令行选项，在创建任何文件之前终止
+   * @param {Object} cliOptions - 命令行选项
+   * @returns {Promise<void>}
+   */
+  async validateGitOptions(cliOptions) {
+    const { initialBranch } = cliOptions
+    // 未安装git时由initializeGit()提示
+    if (!initialBranch || cliOptions.git === false || !(await git.getVersion())) return
+
+    if (!(await git.isValidBranchName(initialBranch))) {
+      throw new Error(`无效的分支名: ${initialBranch}`)
+    }
+  }
+
+  /**
+   * 输出预览结果：计划写入的文件树和package.json
+   */
+  printDryRunSummary() {
+    const files = this.plannedFiles
+    const totalSize = Object.values(files).reduce((sum, content) => sum + getByteLength(content), 0)
+
+    logger.newline()
+    logger.info(`🔍 预览模式：将在 ${this.context} 写入 ${Object.keys(files).length} 个文件（共 ${formatSize(totalSize)}），磁盘未做任何修改`)
+    logger.newline()
+    console.log(formatFileTree(path.basename(this.context), files))
+
+    if (files['package.json']) {
+      logger.newline()
+      logger.info('📄 package.json 预览:')
+      console.log(files['package.json'].toString())
+    }
+  }
+
   // ========== 工具方法 ==========
 
   /**
-   * 获取可用的预设列表
-   * @returns {Object} 预设对象
+   * 获取可用的预设列表（内置预设和用户保存的预设）
+   * @returns {Object} 预设对象 {名称: 预设}
    */
   getAvailablePresets() {
     return {
-      'Vue基础项目': {
-        name: 'vue-basic',
-        description: 'Vue3 + JavaScript + ESLint'
-      }
+      ...getBuiltinPresets(),
+      ...config.getPresets()
     }
   }
 
@@ -442,7 +984,7 @@ class Creator extends EventEmitter {
    * @returns {Object} 默认预设
    */
   getDefaultPreset() {
-    return this.getAvailablePresets()['Vue基础项目']
+    return getBuiltinPresets()[DEFAULT_PRESET_NAME]
   }
 
   /**
@@ -451,23 +993,19 @@ class Creator extends EventEmitter {
    * @returns {Promise<Object>} 预设配置
    */
   async loadPreset(presetName) {
+    // 本地目录、tar包或Git仓库
+    if (isRemotePreset(presetName)) {
+      return await loadRemotePreset(presetName, { offline: this.offline })
+    }
+
     const presets = this.getAvailablePresets()
     
     if (presets[presetName]) {
       return presets[presetName]
     }
 
-    // 尝试从配置文件加载
-    const configPath = path.join(process.cwd(), '.frontendrc.json')
-    if (await fs.pathExists(configPath)) {
-      const savedPresets = (await fs.readJson(configPath)).presets || {}
-      if (savedPresets[presetName]) {
-        return savedPresets[presetName]
-      }
-    }
-
-    throw new Error(`找不到预设: ${presetName}`)
+    throw new Error(`找不到预设: ${presetName}，可用预设: ${Object.keys(presets).join(', ')}`)
   }
 }
 
-module.exports = Creator
\ No newline at end of file
+module.exports = Creator
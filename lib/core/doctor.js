@@ -0,0 +1,372 @@
+/**
+ * Doctor - 项目健康检查
+ *
+ * frontend doctor 依次执行以下检查：
+ * 1. 锁文件与 .frontendrc.json 记录的包管理器一致
+ * 2. 没有多个包管理器的锁文件同时存在
+ * 3. 锁文件有效（PackageManager.validateLockFile()）
+ * 4. 当前Node.js版本满足 package.json 的 engines.node
+ * 5. 预设中的第三方插件已安装
+ * 6. 生成器依赖的关键文件（入口、index.html、构建配置、tsconfig.json）存在
+ *
+ * 每项检查返回 {title, status, message, fix}，status为pass/fail/skip；
+ * 可以自动修复的失败项提供 fix: {description, run}，由 --fix 执行。
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+const semver = require('semver')
+
+const logger = require('../utils/logger')
+const ProjectConfig = require('../utils/projectConfig')
+const PackageManager = require('../utils/PackageManager')
+const Generator = require('./generator')
+const GeneratorAPI = require('./generatorAPI')
+const { TYPESCRIPT_PLUGIN, isBuiltinPlugin, loadGenerator } = require('./pluginResolver')
+const { getBundler, getPresetPlugins } = require('./presets')
+
+class Doctor {
+  /**
+   * 构造函数
+   * @param {string} context - 项目路径
+   */
+  constructor(context) {
+    this.context = path.resolve(context)
+    this.projectConfig = null
+    this.pkg = null
+    this.packageManager = null
+  }
+
+  /**
+   * 执行所有检查
+   * @returns {Promise<Array<Object>>} 检查结果
+   */
+  async run() {
+    this.projectConfig = await ProjectConfig.load(this.context)
+    this.pkg = await this.readPackageJson()
+    this.packageManager = new PackageManager({
+      context: this.context,
+      packageManager: this.projectConfig.preset.options?.packageManager || 'npm'
+    })
+
+    const checks = [
+      this.checkLockFileManager,
+      this.checkMultipleLockFiles,
+      this.checkLockFileValid,
+      this.checkNodeVersion,
+      this.checkPluginsInstalled,
+      this.checkExpectedFiles
+    ]
+
+    const results = []
+    for (const check of checks) {
+      results.push(await check.call(this))
+    }
+    return results
+  }
+
+  /**
+   * 检查锁文件与包管理器是否一致
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkLockFileManager() {
+    const title = '锁文件与包管理器一致'
+    const { name, lockFile } = this.getManager()
+    const present = await this.findLockFiles()
+
+    if (present.includes(lockFile)) {
+      return { title, status: 'pass' }
+    }
+
+    const fix = {
+      description: `使用 ${name} 重新安装依赖生成 ${lockFile}`,
+      run: () => this.packageManager.generateLockFile()
+    }
+
+    if (present.length === 0) {
+      return { title, status: 'fail', message: `缺少 ${name} 的锁文件 ${lockFile}`, fix }
+    }
+
+    return {
+      title,
+      status: 'fail',
+      message: `项目记录的包管理器是 ${name}，但锁文件是 ${present.join(', ')}`,
+      fix: {
+        description: `删除 ${present.join(', ')} 并${fix.description}`,
+        run: async () => {
+          await this.removeLockFiles(present)
+          await fix.run()
+        }
+      }
+    }
+  }
+
+  /**
+   * 检查是否存在多个锁文件
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkMultipleLockFiles() {
+    const title = '只存在一个锁文件'
+    const { name, lockFile } = this.getManager()
+    const present = await this.findLockFiles()
+
+    if (present.length <= 1) {
+      return { title, status: 'pass' }
+    }
+
+    const result = { title, status: 'fail', message: `同时存在多个锁文件: ${present.join(', ')}` }
+
+    // 包管理器自己的锁文件不存在时由上一项检查修复
+    if (present.includes(lockFile)) {
+      const others = present.filter(file => file !== lockFile)
+      result.fix = {
+        description: `删除与包管理器 ${name} 不符的 ${others.join(', ')}`,
+        run: () => this.removeLockFiles(others)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * 检查锁文件是否有效
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkLockFileValid() {
+    const title = '锁文件有效'
+    const { name, lockFile } = this.getManager()
+
+    if (!(await fs.pathExists(path.join(this.context, lockFile)))) {
+      return { title, status: 'skip', message: `缺少 ${lockFile}` }
+    }
+
+    if (await this.packageManager.validateLockFile()) {
+      return { title, status: 'pass' }
+    }
+
+    return {
+      title,
+      status: 'fail',
+      message: `${lockFile} 与 package.json 不一致或已损坏`,
+      fix: {
+        description: `使用 ${name} 重新安装依赖更新 ${lockFile}`,
+        run: () => this.packageManager.generateLockFile()
+      }
+    }
+  }
+
+  /**
+   * 检查Node.js版本是否满足engines.node
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkNodeVersion() {
+    const title = 'Node.js版本满足 engines.node'
+    const range = this.pkg.engines && this.pkg.engines.node
+
+    if (!range) {
+      return { title, status: 'skip', message: 'package.json 未声明 engines.node' }
+    }
+
+    if (!semver.validRange(range)) {
+      return { title, status: 'fail', message: `engines.node 不是有效的版本范围: ${range}` }
+    }
+
+    if (semver.satisfies(process.version, range)) {
+      return { title, status: 'pass' }
+    }
+
+    return {
+      title,
+      status: 'fail',
+      message: `当前Node.js版本 ${process.version} 不满足 engines.node "${range}"，请切换到满足要求的版本`
+    }
+  }
+
+  /**
+   * 检查预设中的第三方插件是否已安装
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkPluginsInstalled() {
+    const title = '插件已安装'
+    const plugins = Object.keys(this.projectConfig.preset.plugins).filter(id => !isBuiltinPlugin(id))
+
+    if (plugins.length === 0) {
+      return { title, status: 'skip', message: '项目没有使用第三方插件' }
+    }
+
+    const missing = []
+    for (const id of plugins) {
+      if (!(await this.packageManager.getInstalledVersion(id))) {
+        missing.push(id)
+      }
+    }
+
+    if (missing.length === 0) {
+      return { title, status: 'pass' }
+    }
+
+    const declared = { ...this.pkg.dependencies, ...this.pkg.devDependencies }
+    const undeclared = missing.filter(id => !declared[id])
+
+    return {
+      title,
+      status: 'fail',
+      message: `以下插件未安装: ${missing.join(', ')}`,
+      fix: {
+        description: undeclared.length > 0
+          ? `安装 ${undeclared.join(', ')} 并重新安装依赖`
+          : '重新安装依赖',
+        run: async () => {
+          if (undeclared.length > 0) {
+            await this.packageManager.install(undeclared, { dev: true })
+          }
+          await this.packageManager.install()
+        }
+      }
+    }
+  }
+
+  /**
+   * 检查生成器依赖的关键文件是否存在
+   * @returns {Promise<Object>} 检查结果
+   */
+  async checkExpectedFiles() {
+    const title = '关键文件存在'
+    const missing = []
+
+    for (const candidates of this.getExpectedFiles()) {
+      const exists = await Promise.all(candidates.map(file => fs.pathExists(path.join(this.context, file))))
+      if (!exists.includes(true)) {
+        missing.push(candidates)
+      }
+    }
+
+    if (missing.length === 0) {
+      return { title, status: 'pass' }
+    }
+
+    const names = missing.map(candidates => candidates.join(' 或 '))
+    const result = { title, status: 'fail', message: `缺少文件: ${names.join(', ')}` }
+
+    // package.json由Creator生成，无法通过插件恢复
+    if (!missing.some(candidates => candidates.includes('package.json'))) {
+      result.fix = {
+        description: '重新执行项目插件的生成器，只写入缺少的文件',
+        run: () => this.restoreFiles(missing)
+      }
+    }
+
+    return result
+  }
+
+  // ========== 内部方法 ==========
+
+  /**
+   * 获取生成器依赖的关键文件
+   * @returns {Array<Array<string>>} 每项为候选文件列表，任一存在即可
+   */
+  getExpectedFiles() {
+    const { preset } = this.projectConfig
+    const bundler = this.projectConfig.bundler || getBundler(preset)
+
+    const expected = [
+      ['package.json'],
+      ['index.html'],
+      GeneratorAPI.ENTRY_FILES,
+      ['js', 'mjs', 'ts'].map(ext => `${bundler}.config.${ext}`)
+    ]
+
+    if (getPresetPlugins(preset)[TYPESCRIPT_PLUGIN]) {
+      expected.push(['tsconfig.json'])
+    }
+
+    return expected
+  }
+
+  /**
+   * 重新执行项目插件的生成器，恢复缺少的文件
+   * @param {Array<Array<string>>} missing - 缺少的文件（候选列表）
+   * @returns {Promise<void>}
+   */
+  async restoreFiles(missing) {
+    const { preset, name } = this.projectConfig
+    const plugins = []
+
+    for (const [id, options] of Object.entries(getPresetPlugins(preset))) {
+      try {
+        const generator = loadGenerator(id, this.context)
+        if (generator) plugins.push({ id, options, ...generator })
+      } catch (error) {
+        logger.warn(`插件 ${id} 未安装，已跳过其生成器`)
+      }
+    }
+
+    const generator = new Generator(this.context, {
+      pkg: this.pkg,
+      plugins,
+      preset,
+      projectName: name || this.pkg.name
+    })
+    const files = await generator.generate()
+
+    for (const candidates of missing) {
+      const file = candidates.find(candidate => files[candidate] !== undefined)
+      if (!file) {
+        throw new Error(`生成器没有生成 ${candidates.join(' 或 ')}`)
+      }
+      await fs.outputFile(path.join(this.context, file), files[file])
+      logger.info(`  已恢复 ${file}`)
+    }
+  }
+
+  /**
+   * 获取项目包管理器的名称和锁文件
+   * @returns {{name: string, lockFile: string}}
+   */
+  getManager() {
+    return {
+      name: this.packageManager.packageManager,
+      lockFile: this.packageManager.managerConfig.lockFile
+    }
+  }
+
+  /**
+   * 查找项目中存在的锁文件
+   * @returns {Promise<Array<string>>} 锁文件名
+   */
+  async findLockFiles() {
+    const lockFiles = PackageManager.SUPPORTED_MANAGERS
+      .map(name => new PackageManager({ context: this.context, packageManager: name }).managerConfig.lockFile)
+
+    const present = []
+    for (const file of new Set(lockFiles)) {
+      if (await fs.pathExists(path.join(this.context, file))) {
+        present.push(file)
+      }
+    }
+    return present
+  }
+
+  /**
+   * 删除锁文件
+   * @param {Array<string>} files - 锁文件名
+   * @returns {Promise<void>}
+   */
+  async removeLockFiles(files) {
+    for (const file of files) {
+      await fs.remove(path.join(this.context, file))
+      logger.info(`  已删除 ${file}`)
+    }
+  }
+
+  /**
+   * 读取package.json，不存在时返回空对象（由关键文件检查报告）
+   * @returns {Promise<Object>} package.json
+   */
+  async readPackageJson() {
+    const pkgPath = path.join(this.context, 'package.json')
+    return (await fs.pathExists(pkgPath)) ? await fs.readJson(pkgPath) : {}
+  }
+}
+
+module.exports = Doctor
@@ -0,0 +1,185 @@
+/**
+ * Generator - 项目文件生成器
+ *
+ * 负责按顺序调用各插件的生成器：
+ * 1. 为每个插件创建GeneratorAPI实例并执行其生成器
+ * 2. 维护内存中的文件树和package.json
+ * 3. 处理import注入等后置修改
+ * 4. 收集插件注册的完成钩子
+ *
+ * Generator不直接写入磁盘，generate()返回最终的文件映射，由调用方决定如何落盘。
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+
+const logger = require('../utils/logger')
+const GeneratorAPI = require('./generatorAPI')
+const { sortObject } = require('../utils/object')
+
+class Generator {
+  /**
+   * 构造函数
+   * @param {string} context - 项目路径
+   * @param {Object} options - 生成选项
+   * @param {Object} options.pkg - 初始package.json
+   * @param {Array} options.plugins - 插件列表 [{id, apply, options, dir}]
+   * @param {Object} options.preset - 完整预设
+   * @param {string} options.projectName - 项目名称
+   * @param {Object} options.answers - 用户回答
+   * @param {Object} options.files - 初始文件树，在已有项目中调用插件时传入项目现有文件
+   */
+  constructor(context, { pkg = {}, plugins = [], preset = {}, projectName, answers = {}, files = {} } = {}) {
+    this.context = context
+    this.pkg = pkg
+    this.plugins = plugins
+    this.preset = preset
+    this.projectName = projectName || pkg.name
+    this.answers = answers
+
+    // 内存文件树 {相对路径: 内容}
+    this.files = { ...files }
+    this.fileMiddlewares = []
+    this.imports = {}
+
+    // 插件注册的钩子
+    this.afterInvokeCbs = []
+    this.afterAnyInvokeCbs = []
+  }
+
+  /**
+   * 执行所有插件生成器
+   * @returns {Promise<Object>} 最终文件映射 {相对路径: 内容}
+   */
+  async generate() {
+    for (const plugin of this.plugins) {
+      logger.debug(`调用插件生成器: ${plugin.id}`)
+
+      const api = this.createAPI(plugin)
+      await plugin.apply(api, plugin.options || {}, this.preset)
+
+      // 立即执行该插件注册的文件中间件，后续插件即可看到前面插件生成的文件
+      await this.resolveFiles()
+    }
+
+    await this.resolveImports()
+
+    this.files['package.json'] = JSON.stringify(this.sortPackageJson(this.pkg), null, 2) + '\n'
+
+    return this.files
+  }
+
+  /**
+   * 为插件创建API实例
+   * @param {Object} plugin - 插件 {id, apply, options, dir}
+   * @returns {GeneratorAPI} API实例
+   */
+  createAPI(plugin) {
+    return new GeneratorAPI(plugin.id, this, plugin.options, this.preset, plugin.dir)
+  }
+
+  /**
+   * 注册文件中间件
+   * @param {Function} middleware - 接收文件映射的函数
+   */
+  injectFileMiddleware(middleware) {
+    this.fileMiddlewares.push(middleware)
+  }
+
+  /**
+   * 执行并清空待处理的文件中间件
+   * @returns {Promise<void>}
+   */
+  async resolveFiles() {
+    const middlewares = this.fileMiddlewares
+    this.fileMiddlewares = []
+
+    for (const middleware of middlewares) {
+      await middleware(this.files)
+    }
+  }
+
+  /**
+   * 将注入的import语句写入目标文件
+   * @returns {Promise<void>}
+   */
+  async resolveImports() {
+    for (const [file, imports] of Object.entries(this.imports)) {
+      const content = await this.readFile(file)
+
+      if (content === null) {
+        logger.warn(`无法注入import，文件不存在: ${file}`)
+        continue
+      }
+
+      const lines = content.split(/\r?\n/)
+      const pending = [...imports].filter(imp => !lines.includes(imp))
+      if (pending.length === 0) continue
+
+      // 插入到最后一条import语句之后
+      let lastImportIndex = -1
+      lines.forEach((line, index) => {
+        if (/^import\s/.test(line)) lastImportIndex = index
+      })
+      lines.splice(lastImportIndex + 1, 0, ...pending)
+
+      this.files[file] = lines.join('\n')
+    }
+  }
+
+  /**
+   * 读取文件内容，优先读取内存文件树，其次读取项目目录
+   * @param {string} file - 相对路径
+   * @returns {Promise<string|null>} 文件内容，不存在时返回null
+   */
+  async readFile(file) {
+    if (this.files[file] !== undefined) {
+      return this.files[file].toString()
+    }
+
+    const filePath = path.join(this.context, file)
+    if (await fs.pathExists(filePath)) {
+      return await fs.readFile(filePath, 'utf8')
+    }
+
+    return null
+  }
+
+  /**
+   * 判断文件是否存在于内存文件树或项目目录中
+   * @param {string} file - 相对路径
+   * @returns {boolean}
+   */
+  hasFile(file) {
+    return this.files[file] !== undefined || fs.existsSync(path.join(this.context, file))
+  }
+
+  /**
+   * 判断是否使用了某个插件
+   * @param {string} id - 插件ID
+   * @returns {boolean}
+   */
+  hasPlugin(id) {
+    return this.plugins.some(plugin => plugin.id === id) ||
+      Object.keys(this.preset.plugins || {}).includes(id) ||
+      Object.keys(this.pkg.dependencies || {}).includes(id) ||
+      Object.keys(this.pkg.devDependencies || {}).includes(id)
+  }
+
+  /**
+   * 整理package.json字段顺序
+   * @param {Object} pkg - package.json
+   * @returns {Object} 整理后的package.json
+   */
+  sortPackageJson(pkg) {
+    const sorted = { ...pkg }
+
+    ;['dependencies', 'devDependencies', 'peerDependencies'].forEach(key => {
+      if (sorted[key]) sorted[key] = sortObject(sorted[key])
+    })
+
+    return sorted
+  }
+}
+
+module.exports = Generator
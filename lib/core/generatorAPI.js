@@ -0,0 +1,226 @@
+/**
+ * GeneratorAPI - 插件生成器接口
+ *
+ * 每个插件的生成器模块都会收到一个独立的GeneratorAPI实例：
+ *   module.exports = (api, options, preset) => {
+ *     api.extendPackage({ dependencies: { 'vue-router': '^4.0.0' } })
+ *     api.render('./template')
+ *     api.injectImports(api.entryFile, `import router from './router'`)
+ *     api.onCreateComplete(() => { ... })
+ *   }
+ *
+ * 所有修改都先作用于Generator维护的内存文件树，最终由Creator统一写入磁盘。
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+
+const logger = require('../utils/logger')
+const Template = require('../utils/template')
+const { deepMerge } = require('../utils/object')
+const { getBundler } = require('./presets')
+const { TYPESCRIPT_PLUGIN } = require('./pluginResolver')
+
+// 入口文件候选，按优先级排列
+const ENTRY_FILES = ['src/main.ts', 'src/main.tsx', 'src/main.js', 'src/main.jsx', 'src/index.ts', 'src/index.js']
+
+class GeneratorAPI {
+  /**
+   * 构造函数
+   * @param {string} id - 插件ID
+   * @param {Generator} generator - 所属Generator实例
+   * @param {Object} options - 插件选项
+   * @param {Object} rootOptions - 完整预设
+   * @param {string} pluginDir - 插件所在目录，用于解析相对模板路径
+   */
+  constructor(id, generator, options, rootOptions, pluginDir) {
+    this.id = id
+    this.generator = generator
+    this.options = options || {}
+    this.rootOptions = rootOptions || {}
+    this.pluginDir = pluginDir
+  }
+
+  /**
+   * 项目名称
+   * @returns {string}
+   */
+  get projectName() {
+    return this.generator.projectName
+  }
+
+  /**
+   * 入口文件相对路径
+   * @returns {string}
+   */
+  get entryFile() {
+    return ENTRY_FILES.find(file => this.generator.hasFile(file)) || 'src/main.js'
+  }
+
+  /**
+   * 项目使用的框架（vue/react/svelte/vanilla），旧版本预设没有该字段时视为vue
+   * @returns {string}
+   */
+  get framework() {
+    return this.rootOptions.framework || 'vue'
+  }
+
+  /**
+   * 项目使用的构建工具（vite/webpack/rspack）
+   * @returns {string}
+   */
+  get bundler() {
+    return getBundler(this.rootOptions)
+  }
+
+  /**
+   * 项目是否使用TypeScript（原生项目始终使用TypeScript）
+   * @returns {boolean}
+   */
+  get typescript() {
+    return this.framework === 'vanilla' || this.hasPlugin(TYPESCRIPT_PLUGIN)
+  }
+
+  /**
+   * 解析项目内路径
+   * @param {...string} paths - 路径片段
+   * @returns {string} 绝对路径
+   */
+  resolve(...paths) {
+    return path.resolve(this.generator.context, ...paths)
+  }
+
+  /**
+   * 判断项目是否使用了某个插件
+   * @param {string} id - 插件ID
+   * @returns {boolean}
+   */
+  hasPlugin(id) {
+    return this.generator.hasPlugin(id)
+  }
+
+  /**
+   * 合并字段到package.json
+   * @param {Object|Function} fields - 要合并的字段，或接收当前package.json返回字段的函数
+   * @param {Object} options - 选项
+   * @param {boolean} options.merge - 是否深度合并（false时直接覆盖同名字段）
+   */
+  extendPackage(fields, options = {}) {
+    const { merge = true } = options
+    const pkg = this.generator.pkg
+    const toMerge = typeof fields === 'function' ? fields(pkg) : fields
+
+    if (!toMerge) return
+
+    if (merge) {
+      this.generator.pkg = deepMerge(pkg, toMerge, {
+        onConflict: (keyPath, oldValue, newValue) => {
+          logger.debug(`插件 ${this.id} 覆盖了 package.json 字段 ${keyPath.join('.')}: ${oldValue} → ${newValue}`)
+        }
+      })
+    } else {
+      this.generator.pkg = { ...pkg, ...toMerge }
+    }
+  }
+
+  /**
+   * 渲染模板目录或注册文件中间件
+   * @param {string|Object|Function} source - 模板目录（相对插件目录）、{目标路径: 模板路径}映射，或 (files, render) => {} 中间件
+   * @param {Object} additionalData - 额外模板数据
+   * @param {Object} ejsOptions - EJS选项
+   */
+  render(source, additionalData = {}, ejsOptions = {}) {
+    const data = this.getTemplateData(additionalData)
+
+    if (typeof source === 'function') {
+      this.generator.injectFileMiddleware(files => source(files, (template, extra = {}) =>
+        Template.renderFile(this.resolveSource(template), { ...data, ...extra }, ejsOptions)
+      ))
+      return
+    }
+
+    if (typeof source === 'string') {
+      const sourceDir = this.resolveSource(source)
+      this.generator.injectFileMiddleware(async files => {
+        if (!(await fs.pathExists(sourceDir))) {
+          logger.warn(`插件 ${this.id} 的模板目录不存在: ${sourceDir}`)
+          return
+        }
+        Object.assign(files, await Template.renderDirectory(sourceDir, data, ejsOptions))
+      })
+      return
+    }
+
+    this.generator.injectFileMiddleware(async files => {
+      for (const [targetPath, templatePath] of Object.entries(source)) {
+        files[targetPath] = await Template.renderFile(this.resolveSource(templatePath), data, ejsOptions)
+      }
+    })
+  }
+
+  /**
+   * 向文件注入import语句
+   * @param {string} file - 目标文件相对路径
+   * @param {string|Array<string>} imports - import语句
+   */
+  injectImports(file, imports) {
+    const list = this.generator.imports[file] || (this.generator.imports[file] = new Set())
+    ;[].concat(imports).forEach(imp => list.add(imp))
+  }
+
+  /**
+   * 注册项目创建完成后执行的钩子
+   * @param {Function} cb - 回调函数
+   */
+  onCreateComplete(cb) {
+    this.generator.afterInvokeCbs.push(cb)
+  }
+
+  /**
+   * 注册当前插件调用完成后执行的钩子（同onCreateComplete）
+   * @param {Function} cb - 回调函数
+   */
+  afterInvoke(cb) {
+    this.generator.afterInvokeCbs.push(cb)
+  }
+
+  /**
+   * 注册任意插件调用完成后都会执行的钩子
+   * @param {Function} cb - 回调函数
+   */
+  afterAnyInvoke(cb) {
+    this.generator.afterAnyInvokeCbs.push(cb)
+  }
+
+  // ========== 内部方法 ==========
+
+  /**
+   * 解析模板路径
+   * @param {string} source - 模板路径
+   * @returns {string} 绝对路径
+   */
+  resolveSource(source) {
+    return path.isAbsolute(source) ? source : path.resolve(this.pluginDir, source)
+  }
+
+  /**
+   * 获取模板渲染数据
+   * @param {Object} additionalData - 额外数据
+   * @returns {Object} 模板数据
+   */
+  getTemplateData(additionalData) {
+    return {
+      projectName: this.projectName,
+      preset: this.rootOptions,
+      options: this.rootOptions.options || {},
+      pluginOptions: this.options,
+      typescript: this.typescript,
+      answers: this.generator.answers,
+      ...additionalData
+    }
+  }
+}
+
+GeneratorAPI.ENTRY_FILES = ENTRY_FILES
+
+module.exports = GeneratorAPI
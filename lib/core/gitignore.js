@@ -0,0 +1,64 @@
+/**
+ * .gitignore 生成
+ *
+ * 根据预设选择的工具链拼接忽略规则：构建工具的输出目录、TypeScript增量编译缓存、
+ * ESLint缓存以及包管理器自身的文件（Yarn Berry的 .yarn 目录和PnP文件）。
+ */
+
+const { TYPESCRIPT_PLUGIN, resolvePluginId } = require('./pluginResolver')
+const { getBundler, getPresetPlugins } = require('./presets')
+
+// 构建工具的输出和缓存目录
+const BUNDLER_IGNORES = {
+  vite: ['dist', 'dist-ssr', '*.local'],
+  webpack: ['dist', '.cache'],
+  rspack: ['dist']
+}
+
+/**
+ * 生成 .gitignore 内容
+ * @param {Object} preset - 预设配置（已确定包管理器）
+ * @returns {string} .gitignore 内容
+ */
+function buildGitignore(preset) {
+  const plugins = getPresetPlugins(preset)
+  const { packageManager } = preset.options || {}
+
+  const sections = [
+    ['# 依赖', 'node_modules'],
+    ['# 构建输出', ...(BUNDLER_IGNORES[getBundler(preset)] || BUNDLER_IGNORES.vite)],
+    ['# 测试覆盖率', 'coverage'],
+    ['# 日志', '*.log', 'npm-debug.log*', 'yarn-debug.log*', 'yarn-error.log*', 'pnpm-debug.log*'],
+    ['# 本地环境变量', '.env.local', '.env.*.local']
+  ]
+
+  if (plugins[TYPESCRIPT_PLUGIN]) {
+    sections.push(['# TypeScript', '*.tsbuildinfo'])
+  }
+
+  if (plugins[resolvePluginId('eslint')]) {
+    sections.push(['# ESLint', '.eslintcache'])
+  }
+
+  if (packageManager === 'berry') {
+    // 保留补丁、插件和固定的yarn版本，其余为缓存和安装状态
+    sections.push([
+      '# Yarn Berry',
+      '.yarn/*',
+      '!.yarn/patches',
+      '!.yarn/plugins',
+      '!.yarn/releases',
+      '!.yarn/sdks',
+      '!.yarn/versions',
+      '.pnp.*'
+    ])
+  }
+
+  sections.push(['# 编辑器和系统文件', '.DS_Store', '.idea', '.vscode/*', '!.vscode/extensions.json'])
+
+  return sections.map(lines => lines.join('\n')).join('\n\n') + '\n'
+}
+
+module.exports = {
+  buildGitignore
+}
@@ -0,0 +1,288 @@
+/**
+ * Invoker - 在已有项目中调用插件
+ *
+ * frontend add <plugin> 的核心流程：
+ * 1. 读取项目 .frontendrc.json 中记录的预设
+ * 2. Git工作区有未提交的修改时拒绝执行（--force 跳过）
+ * 3. 使用项目的包管理器安装第三方插件，内置插件无需安装
+ * 4. 以项目现有文件为初始文件树执行插件生成器，只写入有变化的文件
+ * 5. 插件添加了新依赖时重新安装依赖，然后执行插件注册的完成钩子
+ * 6. 将插件记录到 .frontendrc.json
+ *
+ * 所有磁盘修改都记录在Transaction中，任一步骤失败时恢复到执行前的状态。
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+
+const logger = require('../utils/logger')
+const fileSystem = require('../utils/fileSystem')
+const git = require('../utils/git')
+const Template = require('../utils/template')
+const ProjectConfig = require('../utils/projectConfig')
+const PackageManager = require('../utils/PackageManager')
+const Generator = require('./generator')
+const Transaction = require('./transaction')
+const { resolvePluginId, isBuiltinPlugin, loadGenerator } = require('./pluginResolver')
+
+// 读取项目文件时跳过的目录和文件：依赖、Yarn Berry的缓存和PnP文件、构建产物和工具缓存
+const IGNORED_ENTRIES = [
+  '^node_modules$',
+  '^\\.git$',
+  '^\\.yarn$',
+  '^\\.pnp\\.',
+  '^(dist|dist-ssr|build|coverage)$',
+  '^\\.(cache|vite|turbo|parcel-cache|svelte-kit|eslintcache)$',
+  '\\.tsbuildinfo$'
+]
+
+// 锁文件由包管理器维护，插件生成器不会修改，不读入文件树
+const LOCK_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'bun.lock']
+
+class Invoker {
+  /**
+   * 构造函数
+   * @param {string} context - 项目路径
+   */
+  constructor(context) {
+    this.context = path.resolve(context)
+    this.transaction = null
+  }
+
+  /**
+   * 安装并调用插件
+   * @param {string} name - 插件ID或简写（router → @frontend-cli/plugin-router）
+   * @param {Object} options - 选项
+   * @param {boolean} options.force - 跳过Git工作区检查，允许重新调用已添加的插件
+   * @returns {Promise<void>}
+   */
+  async invoke(name, options = {}) {
+    const { force = false } = options
+    const id = resolvePluginId(name)
+    const projectConfig = await ProjectConfig.load(this.context)
+    const { preset } = projectConfig
+
+    if (preset.plugins[id] && !force) {
+      throw new Error(`插件 ${id} 已添加到项目中，如需重新执行其生成器请使用 --force`)
+    }
+
+    if (!force) {
+      await this.assertCleanWorkTree()
+    }
+
+    this.transaction = new Transaction()
+
+    try {
+      const packageManager = this.createPackageManager(preset)
+      await this.installPlugin(id, packageManager)
+
+      const pluginOptions = preset.plugins[id] || {}
+      await this.runGenerator(id, pluginOptions, projectConfig, packageManager)
+
+      projectConfig.preset.plugins[id] = pluginOptions
+      await this.transaction.writeFile(ProjectConfig.getPath(this.context), ProjectConfig.stringify(projectConfig))
+
+      await this.transaction.commit()
+    } catch (error) {
+      logger.warn('⚠️  添加插件失败，正在恢复项目文件...')
+      await this.transaction.rollback()
+      throw error
+    }
+
+    logger.success(`✅ 已添加插件: ${id}`)
+  }
+
+  /**
+   * 检查Git工作区是否干净，不在Git仓库中时跳过检查
+   * @returns {Promise<void>}
+   */
+  async assertCleanWorkTree() {
+    if (!(await git.isInsideWorkTree(this.context))) {
+      logger.debug('项目不在Git仓库中，跳过工作区检查')
+      return
+    }
+
+    const changes = await git.getChangedFiles(this.context)
+    if (changes.length > 0) {
+      throw new Error(
+        'Git工作区存在未提交的修改，请先提交或暂存，或使用 --force 跳过检查:\n' +
+        changes.map(line => `  ${line}`).join('\n')
+      )
+    }
+  }
+
+  /**
+   * 安装第三方插件，内置插件随CLI提供无需安装
+   * @param {string} id - 插件ID
+   * @param {PackageManager} packageManager - 包管理器
+   * @returns {Promise<void>}
+   */
+  async installPlugin(id, packageManager) {
+    if (isBuiltinPlugin(id)) {
+      logger.debug(`${id} 是内置插件，无需安装`)
+      return
+    }
+
+    logger.info(`🔌 安装插件: ${id}`)
+    await this.recordManifests(packageManager)
+    await this.transaction.track(this.context, () => packageManager.install([id], { dev: true }))
+  }
+
+  /**
+   * 加载并执行插件生成器
+   * @param {string} id - 插件ID
+   * @param {Object} pluginOptions - 插件选项
+   * @param {Object} projectConfig - 项目配置
+   * @param {PackageManager} packageManager - 包管理器
+   * @returns {Promise<void>}
+   */
+  async runGenerator(id, pluginOptions, projectConfig, packageManager) {
+    const pluginGenerator = loadGenerator(id, this.context)
+    if (!pluginGenerator) {
+      logger.info(`插件 ${id} 没有提供生成器，已跳过文件生成`)
+      return
+    }
+
+    logger.info(`📝 调用插件生成器: ${id}`)
+
+    const preset = {
+      ...projectConfig.preset,
+      plugins: { ...projectConfig.preset.plugins, [id]: pluginOptions }
+    }
+
+    await this.runPlugins([{ id, options: pluginOptions, ...pluginGenerator }], preset, projectConfig, packageManager)
+  }
+
+  /**
+   * 以项目现有文件为初始文件树执行插件，写入变化的文件并执行完成钩子
+   * @param {Array} plugins - 插件列表 [{id, apply, options, dir}]
+   * @param {Object} preset - 传给插件的完整预设
+   * @param {Object} projectConfig - 项目配置
+   * @param {PackageManager} packageManager - 包管理器
+   * @param {Function} GeneratorClass - 生成器类（升级时使用Migrator）
+   * @returns {Promise<void>}
+   */
+  async runPlugins(plugins, preset, projectConfig, packageManager, GeneratorClass = Generator) {
+    const pkg = await fs.readJson(path.join(this.context, 'package.json'))
+    const originalFiles = await this.readProjectFiles()
+
+    const generator = new GeneratorClass(this.context, {
+      pkg,
+      plugins,
+      preset,
+      projectName: projectConfig.name || pkg.name,
+      files: originalFiles
+    })
+
+    const files = await generator.generate()
+    const changed = await this.writeChanges(originalFiles, files)
+
+    if (changed.length > 0) {
+      logger.info(`已修改 ${changed.length} 个文件:`)
+      changed.forEach(file => logger.info(`  ${file}`))
+    } else {
+      logger.info('插件没有修改任何文件')
+    }
+
+    if (this.dependenciesChanged(pkg, generator.pkg)) {
+      logger.info('📦 安装插件添加的依赖')
+      await this.recordManifests(packageManager)
+      await this.transaction.track(this.context, () => packageManager.install())
+    }
+
+    for (const cb of [...generator.afterInvokeCbs, ...generator.afterAnyInvokeCbs]) {
+      await cb()
+    }
+  }
+
+  /**
+   * 写入生成器新增或修改的文件，删除生成器移除的文件
+   * @param {Object} originalFiles - 原文件映射
+   * @param {Object} files - 生成后的文件映射
+   * @returns {Promise<Array<string>>} 发生变化的文件
+   */
+  async writeChanges(originalFiles, files) {
+    const changed = []
+
+    for (const [file, content] of Object.entries(files)) {
+      const original = originalFiles[file]
+      if (original !== undefined && Buffer.from(original).equals(Buffer.from(content))) continue
+
+      await this.transaction.writeFile(path.join(this.context, file), content)
+      changed.push(file)
+    }
+
+    for (const file of Object.keys(originalFiles)) {
+      if (files[file] === undefined) {
+        await this.transaction.removeFile(path.join(this.context, file))
+        changed.push(file)
+      }
+    }
+
+    return changed
+  }
+
+  /**
+   * 读取项目现有文件（跳过依赖、缓存、构建产物和锁文件）
+   *
+   * 二进制文件以Buffer原样保留，只在内容变化时写入，生成器不会把它们当作文本处理。
+   *
+   * @returns {Promise<Object>} 文件映射 {相对路径: 内容}
+   */
+  async readProjectFiles() {
+    const files = {}
+    const paths = await fileSystem.findFiles(this.context, /./, { ignore: IGNORED_ENTRIES })
+
+    for (const filePath of paths) {
+      const relativePath = path.relative(this.context, filePath).split(path.sep).join('/')
+      if (LOCK_FILES.includes(relativePath)) continue
+
+      const content = await fs.readFile(filePath)
+      // 扩展名未知的二进制文件按是否包含NUL字节判断
+      files[relativePath] = Template.isBinary(filePath) || content.includes(0)
+        ? content
+        : content.toString('utf8')
+    }
+
+    return files
+  }
+
+  /**
+   * 安装依赖前记录package.json和锁文件，失败时可以恢复
+   * @param {PackageManager} packageManager - 包管理器
+   * @returns {Promise<void>}
+   */
+  async recordManifests(packageManager) {
+    await this.transaction.recordFile(path.join(this.context, 'package.json'))
+    await this.transaction.recordFile(path.join(this.context, packageManager.managerConfig.lockFile))
+  }
+
+  /**
+   * 判断生成器是否修改了依赖
+   * @param {Object} before - 原package.json
+   * @param {Object} after - 生成后的package.json
+   * @returns {boolean}
+   */
+  dependenciesChanged(before, after) {
+    return ['dependencies', 'devDependencies'].some(key =>
+      JSON.stringify(before[key] || {}) !== JSON.stringify(after[key] || {})
+    )
+  }
+
+  /**
+   * 创建项目使用的包管理器实例
+   * @param {Object} preset - 项目预设
+   * @returns {PackageManager} 包管理器
+   */
+  createPackageManager(preset) {
+    const { name, reason } = PackageManager.detect({ context: this.context, preset })
+    logger.debug(`使用包管理器: ${name}（${reason}）`)
+
+    return new PackageManager({
+      context: this.context,
+      packageManager: name
+    })
+  }
+}
+
+module.exports = Invoker
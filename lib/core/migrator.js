@@ -0,0 +1,58 @@
+/**
+ * Migrator - 插件迁移器执行器
+ *
+ * frontend upgrade 升级第三方插件后，如果插件提供了 <id>/migrator，
+ * 使用与生成器相同的方式执行迁移器，迁移器可根据升级前的版本决定要做的修改：
+ *   module.exports = (api, options, preset) => {
+ *     if (api.fromVersion('<2.0.0')) {
+ *       api.extendPackage({ scripts: { lint: 'eslint .' } })
+ *     }
+ *   }
+ */
+
+const semver = require('semver')
+
+const Generator = require('./generator')
+const GeneratorAPI = require('./generatorAPI')
+
+class MigratorAPI extends GeneratorAPI {
+  /**
+   * 构造函数
+   * @param {string} id - 插件ID
+   * @param {Migrator} generator - 所属Migrator实例
+   * @param {Object} options - 插件选项
+   * @param {Object} rootOptions - 完整预设
+   * @param {string} pluginDir - 插件所在目录
+   * @param {string} baseVersion - 升级前的插件版本
+   * @param {string} targetVersion - 升级后的插件版本
+   */
+  constructor(id, generator, options, rootOptions, pluginDir, baseVersion, targetVersion) {
+    super(id, generator, options, rootOptions, pluginDir)
+    this.baseVersion = baseVersion
+    this.targetVersion = targetVersion
+  }
+
+  /**
+   * 判断升级前的版本是否满足范围
+   * @param {string} range - semver范围，如 '<2.0.0'
+   * @returns {boolean}
+   */
+  fromVersion(range) {
+    return Boolean(semver.valid(this.baseVersion)) && semver.satisfies(this.baseVersion, range)
+  }
+}
+
+class Migrator extends Generator {
+  /**
+   * 为插件创建迁移器API实例
+   * @param {Object} plugin - 插件 {id, apply, options, dir, baseVersion, targetVersion}
+   * @returns {MigratorAPI} API实例
+   */
+  createAPI(plugin) {
+    return new MigratorAPI(plugin.id, this, plugin.options, this.preset, plugin.dir, plugin.baseVersion, plugin.targetVersion)
+  }
+}
+
+Migrator.MigratorAPI = MigratorAPI
+
+module.exports = Migrator
@@ -0,0 +1,229 @@
+/**
+ * 插件解析模块
+ *
+ * 负责将预设中的插件ID解析为可执行的生成器：
+ * 1. 内置插件（@frontend-cli/core、@frontend-cli/plugin-*）从 lib/plugins 加载
+ * 2. 第三方插件从项目目录的 node_modules 中加载 <id>/generator
+ * 3. 简写名称（router）展开为完整包名（@frontend-cli/plugin-router）
+ * 4. 第三方插件可提供 <id>/migrator，在 frontend upgrade 升级插件后执行
+ * 5. Yarn PnP项目没有node_modules，第三方插件通过项目的 .pnp.cjs 解析
+ */
+
+const os = require('os')
+const path = require('path')
+// PnP运行时只修补原生fs，fs-extra（graceful-fs）持有的是修补前的方法，读不到zip包内的文件
+const nativeFs = require('fs')
+const fs = require('fs-extra')
+
+// 内置插件目录
+const BUILTIN_PLUGINS_DIR = path.resolve(__dirname, '../plugins')
+const CORE_PLUGIN = '@frontend-cli/core'
+const TYPESCRIPT_PLUGIN = '@frontend-cli/plugin-typescript'
+const OFFICIAL_PREFIX = '@frontend-cli/plugin-'
+
+// 已加载的PnP运行时，按 .pnp.cjs 路径缓存（没有时为null）
+const pnpApis = new Map()
+// 从PnP zip缓存中解出的插件目录
+const PNP_EXTRACT_DIR = path.join(os.tmpdir(), 'frontend-cli-pnp')
+
+/**
+ * 展开插件简写名称
+ * @param {string} id - 插件ID或简写
+ * @returns {string} 完整插件ID
+ * @example
+ *   resolvePluginId('router')                 // '@frontend-cli/plugin-router'
+ *   resolvePluginId('frontend-plugin-foo')    // 'frontend-plugin-foo'
+ */
+function resolvePluginId(id) {
+  if (id === 'core') return CORE_PLUGIN
+  // 完整包名、作用域包名或路径保持原样
+  if (id.startsWith('@') || id.includes('/') || id.startsWith('frontend-plugin-')) {
+    return id
+  }
+  return `${OFFICIAL_PREFIX}${id}`
+}
+
+/**
+ * 获取内置插件目录
+ * @param {string} id - 插件ID
+ * @returns {string|null} 插件目录，非内置插件返回null
+ */
+function getBuiltinPluginDir(id) {
+  let name = null
+
+  if (id === CORE_PLUGIN) {
+    name = 'core'
+  } else if (id.startsWith(OFFICIAL_PREFIX)) {
+    name = id.slice(OFFICIAL_PREFIX.length)
+  }
+
+  if (!name) return null
+
+  const pluginDir = path.join(BUILTIN_PLUGINS_DIR, name)
+  return fs.existsSync(path.join(pluginDir, 'generator.js')) ? pluginDir : null
+}
+
+/**
+ * 判断是否为内置插件
+ * @param {string} id - 插件ID
+ * @returns {boolean} 是否内置
+ */
+function isBuiltinPlugin(id) {
+  return getBuiltinPluginDir(id) !== null
+}
+
+/**
+ * 列出所有内置插件ID
+ * @returns {Array<string>} 插件ID列表
+ */
+function listBuiltinPlugins() {
+  return fs.readdirSync(BUILTIN_PLUGINS_DIR)
+    .filter(name => fs.existsSync(path.join(BUILTIN_PLUGINS_DIR, name, 'generator.js')))
+    .map(name => (name === 'core' ? CORE_PLUGIN : `${OFFICIAL_PREFIX}${name}`))
+}
+
+/**
+ * 加载插件生成器
+ * @param {string} id - 插件ID
+ * @param {string} context - 项目路径
+ * @returns {{apply: Function, dir: string}|null} 生成器函数及其所在目录，插件不提供生成器时返回null
+ */
+function loadGenerator(id, context) {
+  const builtinDir = getBuiltinPluginDir(id)
+  if (builtinDir) {
+    return {
+      apply: require(path.join(builtinDir, 'generator.js')),
+      dir: builtinDir
+    }
+  }
+
+  let generatorPath
+  try {
+    generatorPath = resolveFromProject(`${id}/generator`, context)
+  } catch (error) {
+    // 插件已安装但没有生成器
+    try {
+      resolveFromProject(`${id}/package.json`, context)
+      return null
+    } catch (e) {
+      throw new Error(`无法加载插件 ${id}，请确认已安装该插件`)
+    }
+  }
+
+  return {
+    apply: require(generatorPath),
+    dir: extractFromZip(path.dirname(generatorPath))
+  }
+}
+
+/**
+ * 加载第三方插件提供的迁移器（<id>/migrator）
+ * @param {string} id - 插件ID
+ * @param {string} context - 项目路径
+ * @returns {{apply: Function, dir: string}|null} 迁移器函数及其所在目录，插件不提供迁移器时返回null
+ */
+function loadMigrator(id, context) {
+  let migratorPath
+  try {
+    migratorPath = resolveFromProject(`${id}/migrator`, context)
+  } catch (error) {
+    return null
+  }
+
+  return {
+    apply: require(migratorPath),
+    dir: extractFromZip(path.dirname(migratorPath))
+  }
+}
+
+/**
+ * 从项目目录解析模块路径
+ * @param {string} request - 模块请求，如 frontend-plugin-foo/generator
+ * @param {string} context - 项目路径
+ * @returns {string} 模块文件的绝对路径
+ * @throws {Error} 无法解析时抛出
+ */
+function resolveFromProject(request, context) {
+  const pnpApi = loadPnpApi(context)
+  if (pnpApi) {
+    // issuer以路径分隔符结尾表示从该目录发起解析
+    return pnpApi.resolveRequest(request, `${path.resolve(context)}${path.sep}`)
+  }
+  return require.resolve(request, { paths: [context] })
+}
+
+/**
+ * 加载项目的PnP运行时
+ *
+ * setup()会注册PnP的模块解析和zip文件系统，插件代码才能从 .yarn/cache 的zip包中加载，
+ * 并按PnP规则解析插件自身的依赖。不属于该项目的模块（如frontend-cli自身）仍按node_modules解析。
+ *
+ * @param {string} context - 项目路径
+ * @returns {Object|null} PnP API，非PnP项目返回null
+ */
+function loadPnpApi(context) {
+  const pnpPath = path.resolve(context, '.pnp.cjs')
+
+  if (!pnpApis.has(pnpPath)) {
+    let pnpApi = null
+    if (fs.existsSync(pnpPath)) {
+      pnpApi = require(pnpPath)
+      pnpApi.setup()
+    }
+    pnpApis.set(pnpPath, pnpApi)
+  }
+
+  return pnpApis.get(pnpPath)
+}
+
+/**
+ * 将位于PnP zip缓存中的插件目录解压到临时目录，使模板可以按普通文件读取
+ *
+ * zip文件名包含内容校验和，同名的解压结果可以直接复用。
+ *
+ * @param {string} dir - 插件目录
+ * @returns {string} 可直接读取的目录，不在zip中时原样返回
+ */
+function extractFromZip(dir) {
+  const match = /^(.*?\.zip)[\\/]/.exec(dir)
+  if (!match) return dir
+
+  const target = path.join(PNP_EXTRACT_DIR, path.basename(match[1]), path.relative(match[1], dir))
+  if (!fs.existsSync(target)) {
+    // 先解压到临时位置再重命名，避免中断后留下不完整的目录
+    const partial = `${target}.${process.pid}`
+    copyNative(dir, partial)
+    fs.renameSync(partial, target)
+  }
+
+  return target
+}
+
+/**
+ * 使用原生fs递归复制目录（可读取zip包内的文件）
+ * @param {string} source - 源目录
+ * @param {string} target - 目标目录
+ */
+function copyNative(source, target) {
+  fs.mkdirSync(target, { recursive: true })
+
+  nativeFs.readdirSync(source, { withFileTypes: true }).forEach(entry => {
+    const from = path.join(source, entry.name)
+    const to = path.join(target, entry.name)
+    if (entry.isDirectory()) {
+      copyNative(from, to)
+    } else {
+      fs.writeFileSync(to, nativeFs.readFileSync(from))
+    }
+  })
+}
+
+module.exports = {
+  CORE_PLUGIN,
+  TYPESCRIPT_PLUGIN,
+  resolvePluginId,
+  isBuiltinPlugin,
+  listBuiltinPlugins,
+  loadGenerator,
+  loadMigrator
+}
@@ -0,0 +1,322 @@
+/**
+ * 预设结构校验
+ *
+ * 在resolvePreset()之后立即校验预设，尽早给出可读的错误：
+ * - 错误：类型或取值不符合要求，创建流程终止
+ * - 警告：未知字段、已废弃字段、未知的官方插件，给出"你是不是想写"提示
+ *
+ * 每条问题都包含JSON路径、期望类型/取值和修复建议。
+ */
+
+const { listBuiltinPlugins } = require('./pluginResolver')
+
+// 内置模板之外也允许外部预设的绝对路径，故template只校验类型
+const presetSchema = {
+  type: 'object',
+  hint: '预设应为JSON对象，例如 {"name": "my-preset", "plugins": {}}',
+  properties: {
+    name: {
+      type: 'string',
+      hint: '预设名称应为字符串，例如 "my-preset"'
+    },
+    description: {
+      type: 'string'
+    },
+    framework: {
+      type: 'string',
+      enum: ['vue', 'react', 'svelte', 'vanilla']
+    },
+    template: {
+      type: 'string',
+      hint: '模板应为内置模板名称（如 "vue"、"react"）或模板目录路径'
+    },
+    generator: {
+      type: 'string',
+      hint: '生成器应为JS文件路径'
+    },
+    useConfigFiles: {
+      type: 'boolean',
+      hint: '使用 true 生成独立配置文件（如 babel.config.js），false 写入 package.json'
+    },
+    plugins: {
+      type: 'object',
+      hint: '插件配置应为 {"插件ID": {选项}} 形式，例如 {"@frontend-cli/plugin-router": {}}',
+      additionalProperties: {
+        type: 'object',
+        hint: '插件选项应为对象，没有选项时使用 {}',
+        // 插件选项由各插件自行定义，不做字段校验
+        additionalProperties: {}
+      }
+    },
+    options: {
+      type: 'object',
+      hint: '选项应为对象，例如 {"packageManager": "npm"}',
+      properties: {
+        packageManager: {
+          type: 'string',
+          enum: ['npm', 'yarn', 'pnpm', 'berry', 'bun'],
+          hint: '可通过 --package-manager 在命令行指定，berry表示yarn 2+'
+        },
+        nodeLinker: {
+          type: 'string',
+          enum: ['pnp', 'node-modules'],
+          hint: '仅用于berry，写入 .yarnrc.yml 的 nodeLinker'
+        },
+        cssPreprocessor: {
+          type: 'string',
+          enum: ['sass', 'less', 'stylus']
+        },
+        bundler: {
+          type: 'string',
+          enum: ['vite', 'webpack', 'rspack']
+        }
+      }
+    },
+    packageManager: {
+      type: 'string',
+      deprecated: '请改用 options.packageManager'
+    }
+  }
+}
+
+/**
+ * 校验预设
+ * @param {*} preset - 预设配置
+ * @returns {{errors: Array, warnings: Array}} 校验结果，每项为 {path, message, hint}
+ */
+function validatePreset(preset) {
+  const result = { errors: [], warnings: [] }
+  validateNode(preset, presetSchema, [], result)
+  checkPluginIds(preset, result)
+  return result
+}
+
+/**
+ * 校验预设，存在错误时抛出
+ * @param {*} preset - 预设配置
+ * @returns {Array} 警告列表
+ * @throws {Error} 预设无效，error.details为错误列表，error.warnings为同时发现的警告
+ */
+function assertValidPreset(preset) {
+  const { errors, warnings } = validatePreset(preset)
+
+  if (errors.length > 0) {
+    const lines = [`预设配置无效 (${errors.length} 个错误):`, ...errors.map(formatIssue)]
+    // 警告常能解释错误的原因（如字段放错了层级），一并给出
+    if (warnings.length > 0) {
+      lines.push(`另有 ${warnings.length} 个警告:`, ...warnings.map(formatIssue))
+    }
+    const error = new Error(lines.join('\n'))
+    error.details = errors
+    error.warnings = warnings
+    throw error
+  }
+
+  return warnings
+}
+
+/**
+ * 格式化单条问题
+ * @param {Object} issue - 问题 {path, message, hint}
+ * @returns {string} 格式化文本
+ */
+function formatIssue(issue) {
+  const lines = [`  • ${issue.path || '(预设)'}: ${issue.message}`]
+  if (issue.hint) {
+    lines.push(`    建议: ${issue.hint}`)
+  }
+  return lines.join('\n')
+}
+
+// ========== 内部方法 ==========
+
+/**
+ * 递归校验节点
+ * @param {*} value - 值
+ * @param {Object} schema - 结构定义
+ * @param {Array<string>} keyPath - 当前JSON路径
+ * @param {Object} result - 校验结果
+ */
+function validateNode(value, schema, keyPath, result) {
+  const actualType = getType(value)
+
+  if (schema.type && actualType !== schema.type) {
+    result.errors.push({
+      path: formatPath(keyPath),
+      message: `期望类型为 ${schema.type}，实际为 ${actualType}${isScalar(value) ? ` (${JSON.stringify(value)})` : ''}`,
+      hint: schema.hint
+    })
+    return
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion = findClosest(String(value), schema.enum)
+    result.errors.push({
+      path: formatPath(keyPath),
+      message: `期望取值为 ${schema.enum.map(v => JSON.stringify(v)).join(' | ')}，实际为 ${JSON.stringify(value)}`,
+      hint: suggestion ? `你是不是想写 ${JSON.stringify(suggestion)}?` : schema.hint
+    })
+    return
+  }
+
+  if (schema.deprecated) {
+    result.warnings.push({
+      path: formatPath(keyPath),
+      message: '该字段已废弃',
+      hint: schema.deprecated
+    })
+  }
+
+  if (actualType !== 'object') return
+
+  const properties = schema.properties || {}
+
+  Object.keys(value).forEach(key => {
+    const childPath = [...keyPath, key]
+
+    if (properties[key]) {
+      validateNode(value[key], properties[key], childPath, result)
+    } else if (schema.additionalProperties) {
+      validateNode(value[key], schema.additionalProperties, childPath, result)
+    } else {
+      const suggestion = findClosest(key, Object.keys(properties)) || findElsewhere(key, keyPath)
+      result.warnings.push({
+        path: formatPath(childPath),
+        message: '未知字段，将被忽略',
+        hint: suggestion ? `你是不是想写 "${suggestion}"?` : null
+      })
+    }
+  })
+}
+
+/**
+ * 检查官方插件ID是否存在
+ * @param {Object} preset - 预设配置
+ * @param {Object} result - 校验结果
+ */
+function checkPluginIds(preset, result) {
+  if (getType(preset) !== 'object' || getType(preset.plugins) !== 'object') return
+
+  const builtin = listBuiltinPlugins()
+
+  Object.keys(preset.plugins)
+    .filter(id => id.startsWith('@frontend-cli/') && !builtin.includes(id))
+    .forEach(id => {
+      const suggestion = findClosest(id, builtin)
+      result.warnings.push({
+        path: formatPath(['plugins', id]),
+        message: '没有这个内置插件，将尝试从项目依赖中加载',
+        hint: suggestion ? `你是不是想写 "${suggestion}"?` : null
+      })
+    })
+}
+
+/**
+ * 在结构定义的其他层级中查找同名字段，用于提示字段放错了位置
+ * @param {string} key - 未知字段名
+ * @param {Array<string>} keyPath - 字段所在路径
+ * @returns {string|null} 建议的完整路径
+ */
+function findElsewhere(key, keyPath) {
+  const matches = []
+
+  const walk = (schema, currentPath) => {
+    Object.keys(schema.properties || {}).forEach(name => {
+      const childPath = [...currentPath, name]
+      if (name === key && formatPath(currentPath) !== formatPath(keyPath) && !schema.properties[name].deprecated) {
+        matches.push(formatPath(childPath))
+      }
+      walk(schema.properties[name], childPath)
+    })
+  }
+
+  walk(presetSchema, [])
+  return matches[0] || null
+}
+
+/**
+ * 查找最接近的候选项（编辑距离不超过字段长度的一半且最多3）
+ * @param {string} input - 输入
+ * @param {Array<string>} candidates - 候选项
+ * @returns {string|null} 最接近的候选项
+ */
+function findClosest(input, candidates) {
+  let best = null
+  let bestDistance = Infinity
+  const threshold = Math.min(3, Math.ceil(input.length / 2))
+
+  candidates.forEach(candidate => {
+    const distance = levenshtein(input.toLowerCase(), candidate.toLowerCase())
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  })
+
+  return bestDistance <= threshold ? best : null
+}
+
+/**
+ * 计算编辑距离
+ * @param {string} a - 字符串a
+ * @param {string} b - 字符串b
+ * @returns {number} 编辑距离
+ */
+function levenshtein(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0]
+    dp[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const temp = dp[j]
+      dp[j] = a[i - 1] === b[j - 1]
+        ? prev
+        : Math.min(prev, dp[j - 1], dp[j]) + 1
+      prev = temp
+    }
+  }
+
+  return dp[b.length]
+}
+
+/**
+ * 获取值的类型名称
+ * @param {*} value - 值
+ * @returns {string} object/array/null/string/number/boolean/undefined
+ */
+function getType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * 判断是否为标量值
+ * @param {*} value - 值
+ * @returns {boolean}
+ */
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+/**
+ * 格式化JSON路径
+ * @param {Array<string>} keyPath - 路径
+ * @returns {string} 如 options.packageManager、plugins["@frontend-cli/plugin-router"]
+ */
+function formatPath(keyPath) {
+  return keyPath.reduce((result, key) => {
+    if (/^[a-zA-Z_$][\w$]*$/.test(key)) {
+      return result ? `${result}.${key}` : key
+    }
+    return `${result}[${JSON.stringify(key)}]`
+  }, '')
+}
+
+module.exports = {
+  presetSchema,
+  validatePreset,
+  assertValidPreset,
+  formatIssue
+}
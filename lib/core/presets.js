@@ -0,0 +1,137 @@
+/**
+ * 内置预设
+ *
+ * 内置预设的键名即 --preset 接受的名称，用户保存的预设不能与内置预设重名。
+ * 每个内置预设对应 templates/ 下的一个框架模板，默认使用Vite构建并带上Vitest，保证dev/build/test脚本开箱可用。
+ */
+
+const { CORE_PLUGIN, TYPESCRIPT_PLUGIN } = require('./pluginResolver')
+
+// 支持的框架，手动配置时第一个提示即选择框架
+const FRAMEWORKS = [
+  { name: 'Vue 3', value: 'vue', template: 'vue' },
+  { name: 'React 18', value: 'react', template: 'react' },
+  { name: 'Svelte', value: 'svelte', template: 'svelte' },
+  { name: 'Vanilla TypeScript', value: 'vanilla', template: 'vanilla-ts' }
+]
+
+// 支持的构建工具
+const BUNDLERS = [
+  { name: 'Vite', value: 'vite' },
+  { name: 'webpack', value: 'webpack' },
+  { name: 'Rspack', value: 'rspack' }
+]
+
+// 预设未指定options.bundler时使用的构建工具
+const DEFAULT_BUNDLER = 'vite'
+
+const BUILTIN_PRESETS = {
+  vue: {
+    name: 'vue',
+    description: 'Vue 3 + Vite + Vitest',
+    framework: 'vue',
+    template: 'vue',
+    plugins: {
+      '@frontend-cli/plugin-unit-vitest': {}
+    }
+  },
+  react: {
+    name: 'react',
+    description: 'React 18 + Vite + Vitest',
+    framework: 'react',
+    template: 'react',
+    plugins: {
+      '@frontend-cli/plugin-unit-vitest': {}
+    }
+  },
+  svelte: {
+    name: 'svelte',
+    description: 'Svelte + Vite + Vitest',
+    framework: 'svelte',
+    template: 'svelte',
+    plugins: {
+      '@frontend-cli/plugin-unit-vitest': {}
+    }
+  },
+  'vanilla-ts': {
+    name: 'vanilla-ts',
+    description: 'TypeScript + Vite + Vitest',
+    framework: 'vanilla',
+    template: 'vanilla-ts',
+    plugins: {
+      '@frontend-cli/plugin-typescript': {},
+      '@frontend-cli/plugin-unit-vitest': {}
+    }
+  }
+}
+
+// --default 使用的预设
+const DEFAULT_PRESET_NAME = 'vue'
+
+/**
+ * 获取内置预设（返回副本，避免调用方修改）
+ * @returns {Object} 预设对象 {名称: 预设}
+ */
+function getBuiltinPresets() {
+  return JSON.parse(JSON.stringify(BUILTIN_PRESETS))
+}
+
+/**
+ * 生成预设的简短描述
+ * @param {Object} preset - 预设配置
+ * @returns {string} 描述
+ */
+function describePreset(preset) {
+  if (preset.description) return preset.description
+
+  const plugins = Object.keys(preset.plugins || {})
+    .filter(id => id !== '@frontend-cli/core')
+    .map(id => id.replace(/^@frontend-cli\/plugin-/, ''))
+
+  return plugins.length > 0 ? plugins.join(', ') : '无额外插件'
+}
+
+/**
+ * 获取框架信息
+ * @param {string} value - 框架标识（vue/react/svelte/vanilla）
+ * @returns {Object|undefined} 框架信息 {name, value, template}
+ */
+function getFramework(value) {
+  return FRAMEWORKS.find(framework => framework.value === value)
+}
+
+/**
+ * 获取预设使用的构建工具
+ * @param {Object} preset - 预设配置
+ * @returns {string} vite/webpack/rspack
+ */
+function getBundler(preset) {
+  return (preset && preset.options && preset.options.bundler) || DEFAULT_BUNDLER
+}
+
+/**
+ * 获取预设实际调用的插件：基础插件始终最先执行，原生模板只提供TypeScript版本
+ * @param {Object} preset - 预设配置
+ * @returns {Object} 插件配置 {插件ID: 选项}
+ */
+function getPresetPlugins(preset) {
+  const plugins = { [CORE_PLUGIN]: {}, ...(preset.plugins || {}) }
+
+  if (preset.framework === 'vanilla' && !plugins[TYPESCRIPT_PLUGIN]) {
+    plugins[TYPESCRIPT_PLUGIN] = {}
+  }
+
+  return plugins
+}
+
+module.exports = {
+  FRAMEWORKS,
+  BUNDLERS,
+  DEFAULT_PRESET_NAME,
+  DEFAULT_BUNDLER,
+  getFramework,
+  getBundler,
+  getPresetPlugins,
+  getBuiltinPresets,
+  describePreset
+}
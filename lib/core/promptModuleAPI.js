@@ -0,0 +1,69 @@
+/**
+ * PromptModuleAPI - 提示模块接口
+ *
+ * 每个提示模块都是一个接收PromptModuleAPI实例的函数：
+ *   module.exports = cli => {
+ *     cli.injectFeature({ name: 'Router', value: 'router' })
+ *     cli.injectPrompt({
+ *       name: 'historyMode',
+ *       when: answers => answers.features.includes('router'),
+ *       type: 'confirm',
+ *       message: '路由是否使用history模式?'
+ *     })
+ *     cli.onPromptComplete((answers, preset) => {
+ *       if (answers.features.includes('router')) {
+ *         preset.plugins['@frontend-cli/plugin-router'] = { historyMode: answers.historyMode }
+ *       }
+ *     })
+ *   }
+ */
+
+class PromptModuleAPI {
+  /**
+   * 构造函数
+   * @param {Creator} creator - Creator实例
+   */
+  constructor(creator) {
+    this.creator = creator
+  }
+
+  /**
+   * 注入功能特性选项（出现在手动配置的功能多选列表中）
+   * @param {Object} feature - 选项 {name, value, description, checked, plugin, pluginOptions, frameworks}
+   *   frameworks为适用的框架列表，未声明时所有框架都可选
+   */
+  injectFeature(feature) {
+    this.creator.featurePrompt.choices.push(feature)
+  }
+
+  /**
+   * 注入额外的提示，通常配合when条件仅在选中某功能时出现
+   * @param {Object} prompt - inquirer提示配置
+   */
+  injectPrompt(prompt) {
+    this.creator.injectedPrompts.push(prompt)
+  }
+
+  /**
+   * 为已注入的提示追加选项
+   * @param {string} name - 提示名称
+   * @param {Object} option - 选项 {name, value}
+   */
+  injectOptionForPrompt(name, option) {
+    const prompt = this.creator.injectedPrompts.find(p => p.name === name)
+    if (!prompt) {
+      throw new Error(`找不到提示: ${name}`)
+    }
+    prompt.choices.push(option)
+  }
+
+  /**
+   * 注册提示完成回调，用于将回答写入预设
+   * @param {Function} cb - 回调函数 (answers, preset) => void
+   */
+  onPromptComplete(cb) {
+    this.creator.promptCompleteCbs.push(cb)
+  }
+}
+
+module.exports = PromptModuleAPI
@@ -0,0 +1,232 @@
+/**
+ * 外部预设加载模块
+ *
+ * --preset 除预设名称外，还可以是：
+ *   ./my-preset、/abs/my-preset       本地目录
+ *   ./my-preset-1.0.0.tgz            本地tar包（npm pack产物）
+ *   https://host/team/presets.git    Git仓库
+ *   git@host:team/presets.git        Git仓库（SSH）
+ *   file:///srv/git/presets.git      本地裸仓库
+ *   以上Git地址均可追加 #ref 指定分支、标签或提交
+ *
+ * 预设包结构：
+ *   preset.json      预设配置（必需）
+ *   template/        模板目录（可选，替代内置模板）
+ *   generator.js     生成器（可选，也可以是 generator/index.js）
+ *
+ * tar包和Git仓库会被解压/克隆到用户缓存目录，获取失败时回退到已缓存的副本。
+ */
+
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const crypto = require('crypto')
+const tar = require('tar')
+
+const logger = require('../utils/logger')
+const config = require('../utils/config')
+const git = require('../utils/git')
+
+/**
+ * 判断预设参数是否指向外部预设
+ * @param {string} spec - --preset 参数
+ * @returns {boolean}
+ */
+function isRemotePreset(spec) {
+  return parsePresetSource(spec) !== null
+}
+
+/**
+ * 解析预设来源
+ * @param {string} spec - --preset 参数
+ * @returns {{type: string, location: string, ref: string|null}|null} 来源信息，普通预设名称返回null
+ */
+function parsePresetSource(spec) {
+  if (!spec || typeof spec !== 'string') return null
+
+  // Git仓库
+  if (/^(git\+|git:\/\/|ssh:\/\/|file:\/\/)/.test(spec) ||
+      /^git@[^:]+:/.test(spec) ||
+      /^https?:\/\/.+\.git(#.*)?$/.test(spec)) {
+    const hashIndex = spec.lastIndexOf('#')
+    const url = hashIndex === -1 ? spec : spec.slice(0, hashIndex)
+    const ref = hashIndex === -1 ? null : spec.slice(hashIndex + 1) || null
+
+    return {
+      type: 'git',
+      location: url.replace(/^git\+/, ''),
+      ref
+    }
+  }
+
+  // 本地路径
+  if (/^(\.{1,2}[\\/]|\/|~[\\/]|[a-zA-Z]:[\\/])/.test(spec) || spec === '.') {
+    const location = path.resolve(spec.replace(/^~(?=[\\/])/, os.homedir()))
+
+    return {
+      type: /\.(tgz|tar\.gz)$/.test(spec) ? 'tarball' : 'local',
+      location,
+      ref: null
+    }
+  }
+
+  return null
+}
+
+/**
+ * 加载外部预设
+ * @param {string} spec - --preset 参数
+ * @param {Object} options - 选项
+ * @param {boolean} options.offline - 只使用缓存，不访问网络
+ * @returns {Promise<Object>} 预设配置
+ */
+async function loadRemotePreset(spec, options = {}) {
+  const source = parsePresetSource(spec)
+  if (!source) {
+    throw new Error(`无法识别的预设来源: ${spec}`)
+  }
+
+  let presetDir
+  switch (source.type) {
+    case 'local':
+      presetDir = source.location
+      break
+    case 'tarball':
+      presetDir = await extractTarball(source.location)
+      break
+    case 'git':
+      presetDir = await fetchGitPreset(source, options)
+      break
+  }
+
+  return await loadPresetFromDir(presetDir)
+}
+
+/**
+ * 从预设目录读取预设
+ * @param {string} dir - 预设目录
+ * @returns {Promise<Object>} 预设配置，template/generator字段为绝对路径
+ */
+async function loadPresetFromDir(dir) {
+  const presetPath = path.join(dir, 'preset.json')
+
+  if (!(await fs.pathExists(presetPath))) {
+    throw new Error(`预设目录中缺少 preset.json: ${dir}`)
+  }
+
+  let preset
+  try {
+    preset = await fs.readJson(presetPath)
+  } catch (error) {
+    throw new Error(`preset.json 格式错误: ${error.message}`)
+  }
+
+  // 预设包自带的模板目录
+  const templateDir = path.join(dir, 'template')
+  if (await fs.pathExists(templateDir)) {
+    preset.template = templateDir
+  }
+
+  // 预设包自带的生成器
+  for (const candidate of ['generator.js', path.join('generator', 'index.js')]) {
+    const generatorPath = path.join(dir, candidate)
+    if (await fs.pathExists(generatorPath)) {
+      preset.generator = generatorPath
+      break
+    }
+  }
+
+  logger.debug(`已加载外部预设: ${dir}`)
+  return preset
+}
+
+/**
+ * 解压tar包到缓存目录
+ * @param {string} file - tar包路径
+ * @returns {Promise<string>} 预设目录
+ */
+async function extractTarball(file) {
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`预设tar包不存在: ${file}`)
+  }
+
+  const stat = await fs.stat(file)
+  const dest = getCachePath(`${file}@${stat.mtimeMs}`)
+
+  if (!(await fs.pathExists(dest))) {
+    const tmp = `${dest}.tmp-${process.pid}`
+    await fs.remove(tmp)
+    await fs.ensureDir(tmp)
+    await tar.x({ file, cwd: tmp })
+    await fs.move(tmp, dest, { overwrite: true })
+  }
+
+  return await unwrapSingleDir(dest)
+}
+
+/**
+ * 克隆Git预设到缓存目录
+ * @param {Object} source - 来源信息
+ * @param {Object} options - 选项
+ * @returns {Promise<string>} 预设目录
+ */
+async function fetchGitPreset(source, options = {}) {
+  const dest = getCachePath(`${source.location}#${source.ref || ''}`)
+  const cached = await fs.pathExists(path.join(dest, 'preset.json'))
+
+  if (options.offline) {
+    if (!cached) {
+      throw new Error(`离线模式下没有可用的预设缓存: ${source.location}`)
+    }
+    logger.info(`📦 离线模式，使用缓存的预设: ${source.location}`)
+    return dest
+  }
+
+  logger.info(`📥 获取预设: ${source.location}${source.ref ? `#${source.ref}` : ''}`)
+
+  const tmp = `${dest}.tmp-${process.pid}`
+  await fs.remove(tmp)
+
+  try {
+    await git.clone(source.location, tmp, { ref: source.ref })
+    await fs.remove(path.join(tmp, '.git'))
+    await fs.remove(dest)
+    await fs.move(tmp, dest)
+  } catch (error) {
+    await fs.remove(tmp)
+    if (!cached) throw error
+    logger.warn(`⚠️  获取预设失败，使用缓存的副本: ${error.message}`)
+  }
+
+  return dest
+}
+
+/**
+ * 获取预设缓存路径
+ * @param {string} key - 缓存键
+ * @returns {string} 缓存目录
+ */
+function getCachePath(key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)
+  return config.getCacheDir('presets', hash)
+}
+
+/**
+ * npm pack产物的内容位于 package/ 子目录，解包后只有单个目录时进入该目录
+ * @param {string} dir - 解压目录
+ * @returns {Promise<string>} 预设目录
+ */
+async function unwrapSingleDir(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true })
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return path.join(dir, entries[0].name)
+  }
+  return dir
+}
+
+module.exports = {
+  isRemotePreset,
+  parsePresetSource,
+  loadRemotePreset,
+  loadPresetFromDir
+}
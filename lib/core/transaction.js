@@ -0,0 +1,288 @@
+/**
+ * Transaction - 项目创建事务
+ *
+ * 记录创建过程（以及在已有项目中添加插件）中对磁盘的每一次修改，失败或取消时按相反顺序撤销：
+ * 1. 新建的文件和目录 → 删除
+ * 2. 被覆盖或删除的文件 → 从备份恢复原内容
+ * 3. 被清空的目录（--force/覆盖）→ 原内容先移动到临时备份目录，回滚时移回
+ * 4. 安装依赖、Git初始化等外部命令新建的顶层条目 → 删除
+ * 5. 外部命令修改的已有目录（如合并模式下已有的node_modules）→ 从完整备份恢复
+ *
+ * 事务提交后删除临时备份目录。
+ */
+
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+const logger = require('../utils/logger')
+const fileSystem = require('../utils/fileSystem')
+
+class Transaction {
+  constructor() {
+    this.journal = []
+    this.backupRoot = null
+    this.backupCount = 0
+    this.finished = false
+    this.rollbackPromise = null
+  }
+
+  /**
+   * 将目录内容移动到临时备份目录，目录本身保留
+   * @param {string} dir - 目标目录
+   * @returns {Promise<void>}
+   */
+  async backupDirectory(dir) {
+    const backupDir = await this.createBackupPath()
+    await fs.ensureDir(backupDir)
+
+    const entries = await fs.readdir(dir)
+    for (const entry of entries) {
+      await fs.move(path.join(dir, entry), path.join(backupDir, entry))
+    }
+
+    this.journal.push({ type: 'backup-dir', path: dir, backup: backupDir })
+    logger.debug(`已备份目录 ${dir} → ${backupDir}`)
+  }
+
+  /**
+   * 确保目录存在，并记录新建的目录
+   * @param {string} dir - 目录路径
+   * @returns {Promise<void>}
+   */
+  async ensureDir(dir) {
+    const created = await this.findMissingAncestor(dir)
+    await fs.ensureDir(dir)
+
+    if (created) {
+      this.journal.push({ type: 'create-dir', path: created })
+    }
+  }
+
+  /**
+   * 写入文件，写入前记录文件原状态
+   * @param {string} filePath - 文件路径
+   * @param {string|Buffer} content - 文件内容
+   * @param {Object} options - 写入选项
+   * @returns {Promise<void>}
+   */
+  async writeFile(filePath, content, options = {}) {
+    await this.recordFile(filePath)
+    await fileSystem.writeFile(filePath, content, options)
+  }
+
+  /**
+   * 删除文件，删除前备份原内容
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<void>}
+   */
+  async removeFile(filePath) {
+    if (!(await fs.pathExists(filePath))) return
+
+    await this.recordFile(filePath)
+    await fs.remove(filePath)
+  }
+
+  /**
+   * 记录文件即将被修改，已存在的文件会先备份
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<void>}
+   */
+  async recordFile(filePath) {
+    // 同一文件只需记录第一次修改前的状态
+    if (this.journal.some(entry => entry.path === filePath)) return
+
+    if (await fs.pathExists(filePath)) {
+      const backup = await this.createBackupPath()
+      await fs.copy(filePath, backup)
+      this.journal.push({ type: 'overwrite-file', path: filePath, backup })
+      return
+    }
+
+    const createdDir = await this.findMissingAncestor(path.dirname(filePath))
+    if (createdDir) {
+      this.journal.push({ type: 'create-dir', path: createdDir })
+    }
+    this.journal.push({ type: 'create-file', path: filePath })
+  }
+
+  /**
+   * 记录目录即将被外部命令修改（如安装依赖更新已有的node_modules），已存在的目录会先完整复制备份
+   * @param {string} dir - 目录路径
+   * @returns {Promise<void>}
+   */
+  async recordDirectory(dir) {
+    if (this.journal.some(entry => entry.path === dir)) return
+    // 不存在的目录由track()记录为新建条目
+    if (!(await fs.pathExists(dir))) return
+
+    const backup = await this.createBackupPath()
+    await fs.copy(dir, backup)
+    this.journal.push({ type: 'overwrite-dir', path: dir, backup })
+  }
+
+  /**
+   * 执行可能在目录中新建条目的操作（如安装依赖），并记录新增的顶层条目
+   * @param {string} dir - 监视的目录
+   * @param {Function} fn - 要执行的异步操作
+   * @returns {Promise<*>} 操作结果
+   */
+  async track(dir, fn) {
+    const before = new Set(await this.listEntries(dir))
+
+    try {
+      return await fn()
+    } finally {
+      const after = await this.listEntries(dir)
+      after
+        .filter(entry => !before.has(entry))
+        .forEach(entry => {
+          this.journal.push({ type: 'create-entry', path: path.join(dir, entry) })
+        })
+    }
+  }
+
+  /**
+   * 回滚所有记录的修改，多次调用只执行一次
+   * @returns {Promise<void>}
+   */
+  rollback() {
+    if (!this.rollbackPromise) {
+      this.rollbackPromise = this.doRollback()
+    }
+    return this.rollbackPromise
+  }
+
+  /**
+   * 提交事务，删除临时备份
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this.finished = true
+    this.journal = []
+    await this.cleanupBackups()
+  }
+
+  // ========== 内部方法 ==========
+
+  /**
+   * 执行回滚
+   * @returns {Promise<void>}
+   */
+  async doRollback() {
+    if (this.finished) return
+    this.finished = true
+
+    const entries = [...this.journal].reverse()
+    const failures = []
+
+    for (const entry of entries) {
+      try {
+        await this.undo(entry)
+      } catch (error) {
+        failures.push({ entry, error })
+      }
+    }
+
+    this.journal = []
+
+    if (failures.length > 0) {
+      failures.forEach(({ entry, error }) => {
+        logger.error(`回滚失败: ${entry.path}`, error.message)
+      })
+      // 保留备份，便于手动恢复
+      if (this.backupRoot) {
+        logger.warn(`原始文件备份保留在: ${this.backupRoot}`)
+      }
+      return
+    }
+
+    await this.cleanupBackups()
+  }
+
+  /**
+   * 撤销单条记录
+   * @param {Object} entry - 日志记录
+   * @returns {Promise<void>}
+   */
+  async undo(entry) {
+    switch (entry.type) {
+      case 'create-file':
+      case 'create-dir':
+      case 'create-entry':
+        await fs.remove(entry.path)
+        break
+      case 'overwrite-file':
+        await fs.copy(entry.backup, entry.path, { overwrite: true })
+        break
+      case 'overwrite-dir':
+        // 删除后整体恢复，去掉命令新增的文件
+        await fs.remove(entry.path)
+        await fs.copy(entry.backup, entry.path)
+        break
+      case 'backup-dir': {
+        await fs.ensureDir(entry.path)
+        await fs.emptyDir(entry.path)
+        const entries = await fs.readdir(entry.backup)
+        for (const name of entries) {
+          await fs.move(path.join(entry.backup, name), path.join(entry.path, name))
+        }
+        break
+      }
+    }
+    logger.debug(`已回滚: ${entry.type} ${entry.path}`)
+  }
+
+  /**
+   * 查找路径中第一个不存在的祖先目录
+   * @param {string} dir - 目录路径
+   * @returns {Promise<string|null>} 将被新建的最上层目录，目录已存在时返回null
+   */
+  async findMissingAncestor(dir) {
+    let current = path.resolve(dir)
+    let missing = null
+
+    while (!(await fs.pathExists(current))) {
+      missing = current
+      const parent = path.dirname(current)
+      if (parent === current) break
+      current = parent
+    }
+
+    return missing
+  }
+
+  /**
+   * 列出目录中的条目，目录不存在时返回空数组
+   * @param {string} dir - 目录路径
+   * @returns {Promise<Array<string>>} 条目名称
+   */
+  async listEntries(dir) {
+    if (!(await fs.pathExists(dir))) return []
+    return await fs.readdir(dir)
+  }
+
+  /**
+   * 在临时备份目录中分配一个新的备份路径
+   * @returns {Promise<string>} 备份路径
+   */
+  async createBackupPath() {
+    if (!this.backupRoot) {
+      this.backupRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'frontend-cli-backup-'))
+    }
+    return path.join(this.backupRoot, String(this.backupCount++))
+  }
+
+  /**
+   * 删除临时备份目录
+   * @returns {Promise<void>}
+   */
+  async cleanupBackups() {
+    if (this.backupRoot) {
+      await fs.remove(this.backupRoot)
+      this.backupRoot = null
+    }
+  }
+}
+
+module.exports = Transaction
@@ -0,0 +1,207 @@
+/**
+ * Upgrader - 检查并升级项目中的第三方插件
+ *
+ * frontend upgrade 的核心流程：
+ * 1. 读取 .frontendrc.json 中记录的第三方插件（内置插件随frontend-cli一起升级）
+ * 2. 通过包管理器的outdated命令获取当前/兼容/最新版本，--next 时同时考虑next标签
+ * 3. 升级选中的插件：目标版本满足package.json中的范围时使用update，否则安装指定版本
+ * 4. 插件提供 <id>/migrator 时以升级前的版本执行迁移器，修改项目文件
+ *
+ * 升级过程中的磁盘修改记录在Transaction中，失败时恢复package.json、锁文件和项目文件。
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+const chalk = require('chalk')
+const semver = require('semver')
+
+const logger = require('../utils/logger')
+const ProjectConfig = require('../utils/projectConfig')
+const Invoker = require('./invoker')
+const Migrator = require('./migrator')
+const Transaction = require('./transaction')
+const { resolvePluginId, isBuiltinPlugin, loadMigrator } = require('./pluginResolver')
+
+class Upgrader extends Invoker {
+  /**
+   * 检查并升级插件
+   * @param {string} [pluginName] - 插件ID或简写，不指定时检查所有第三方插件
+   * @param {Object} options - 选项
+   * @param {boolean} options.next - 升级到next标签的版本（如果比latest新）
+   * @param {boolean} options.all - 升级所有可升级的插件
+   * @param {boolean} options.force - 跳过Git工作区检查
+   * @returns {Promise<void>}
+   */
+  async upgrade(pluginName, options = {}) {
+    const { next = false, all = false, force = false } = options
+    const projectConfig = await ProjectConfig.load(this.context)
+    const packageManager = this.createPackageManager(projectConfig.preset)
+
+    const ids = this.resolveTargets(pluginName, projectConfig.preset)
+    if (ids.length === 0) {
+      logger.info('项目没有使用第三方插件，内置插件随frontend-cli一起升级')
+      return
+    }
+
+    logger.info('🔍 检查插件更新...')
+    const infos = []
+    for (const id of ids) {
+      infos.push(await this.getUpgradeInfo(id, packageManager, next))
+    }
+    this.printUpgradeTable(infos)
+
+    const upgradable = infos.filter(info => info.target && (!info.current || semver.gt(info.target, info.current)))
+    if (upgradable.length === 0) {
+      logger.success('所有插件均已是最新版本')
+      return
+    }
+
+    if (!pluginName && !all) {
+      logger.info(`使用 ${chalk.cyan('frontend upgrade <plugin>')} 升级指定插件，或使用 ${chalk.cyan('--all')} 升级全部插件`)
+      return
+    }
+
+    if (!force) {
+      await this.assertCleanWorkTree()
+    }
+
+    this.transaction = new Transaction()
+
+    try {
+      for (const info of upgradable) {
+        await this.upgradePlugin(info, projectConfig, packageManager)
+      }
+      await this.transaction.commit()
+    } catch (error) {
+      logger.warn('⚠️  升级失败，正在恢复项目文件...')
+      await this.transaction.rollback()
+      throw error
+    }
+
+    logger.success(`✅ 已升级 ${upgradable.length} 个插件`)
+  }
+
+  /**
+   * 确定需要检查的插件
+   * @param {string} [pluginName] - 插件ID或简写
+   * @param {Object} preset - 项目预设
+   * @returns {Array<string>} 插件ID列表
+   */
+  resolveTargets(pluginName, preset) {
+    if (!pluginName) {
+      return Object.keys(preset.plugins).filter(id => !isBuiltinPlugin(id))
+    }
+
+    const id = resolvePluginId(pluginName)
+    if (!preset.plugins[id]) {
+      throw new Error(`项目没有使用插件 ${id}，请先运行 frontend add ${pluginName}`)
+    }
+    if (isBuiltinPlugin(id)) {
+      throw new Error(`${id} 是内置插件，随frontend-cli一起升级`)
+    }
+    return [id]
+  }
+
+  /**
+   * 获取插件的版本信息
+   * @param {string} id - 插件ID
+   * @param {PackageManager} packageManager - 包管理器
+   * @param {boolean} next - 是否考虑next标签
+   * @returns {Promise<Object>} {id, current, wanted, latest, target}
+   */
+  async getUpgradeInfo(id, packageManager, next) {
+    const current = await packageManager.getInstalledVersion(id)
+    const outdated = (await packageManager.checkForUpdates(id))[id] || {}
+    const wanted = outdated.wanted || current
+    const latest = outdated.latest || current
+
+    let target = latest
+    if (next) {
+      const { next: nextVersion } = await packageManager.getDistTags(id)
+      if (semver.valid(nextVersion) && (!semver.valid(target) || semver.gt(nextVersion, target))) {
+        target = nextVersion
+      }
+    }
+
+    return { id, current, wanted, latest, target }
+  }
+
+  /**
+   * 升级单个插件并执行其迁移器
+   * @param {Object} info - 版本信息
+   * @param {Object} projectConfig - 项目配置
+   * @param {PackageManager} packageManager - 包管理器
+   * @returns {Promise<void>}
+   */
+  async upgradePlugin(info, projectConfig, packageManager) {
+    const { id, current, target } = info
+    logger.info(`⬆️  升级 ${id}: ${current || '未安装'} → ${target}`)
+
+    const pkg = await fs.readJson(path.join(this.context, 'package.json'))
+    const range = (pkg.devDependencies || {})[id] || (pkg.dependencies || {})[id]
+    const dev = !(pkg.dependencies || {})[id]
+
+    await this.recordManifests(packageManager)
+    await this.transaction.track(this.context, () =>
+      range && semver.validRange(range) && semver.satisfies(target, range)
+        ? packageManager.update([id])
+        : packageManager.install([`${id}@${target}`], { dev })
+    )
+
+    const migrator = loadMigrator(id, this.context)
+    if (!migrator) return
+
+    logger.info(`🔧 执行 ${id} 的迁移器`)
+    const plugin = {
+      id,
+      options: projectConfig.preset.plugins[id] || {},
+      baseVersion: current,
+      targetVersion: target,
+      ...migrator
+    }
+    await this.runPlugins([plugin], projectConfig.preset, projectConfig, packageManager, Migrator)
+  }
+
+  /**
+   * 输出版本信息表
+   * @param {Array<Object>} infos - 版本信息
+   */
+  printUpgradeTable(infos) {
+    const rows = infos.map(({ id, current, wanted, latest }) => [id, current || '未安装', wanted || '-', latest || '-'])
+    const header = ['插件', '当前', '兼容', '最新']
+    const widths = header.map((title, index) =>
+      Math.max(displayWidth(title), ...rows.map(row => displayWidth(row[index])))
+    )
+    const format = row => row.map((cell, index) => padEnd(cell, widths[index])).join('  ')
+
+    logger.newline()
+    console.log(chalk.bold(format(header)))
+    infos.forEach((info, index) => {
+      const line = format(rows[index])
+      const outdated = info.target && (!info.current || semver.gt(info.target, info.current))
+      console.log(outdated ? chalk.yellow(line) : line)
+    })
+    logger.newline()
+  }
+}
+
+/**
+ * 计算字符串在终端中的显示宽度（中文字符占两列）
+ * @param {string} text - 字符串
+ * @returns {number} 显示宽度
+ */
+function displayWidth(text) {
+  return String(text).replace(/[^\x00-\xff]/g, '  ').length
+}
+
+/**
+ * 按显示宽度右侧补齐空格
+ * @param {string} text - 字符串
+ * @param {number} width - 目标宽度
+ * @returns {string} 补齐后的字符串
+ */
+function padEnd(text, width) {
+  return text + ' '.repeat(Math.max(0, width - displayWidth(text)))
+}
+
+module.exports = Upgrader
@@ -0,0 +1,45 @@
+/**
+ * @frontend-cli/plugin-babel 生成器
+ *
+ * 添加Babel依赖和配置，useConfigFiles为true时生成babel.config.js，否则写入package.json的babel字段。
+ * React项目额外添加 @babel/preset-react 以转换JSX，TypeScript项目添加 @babel/preset-typescript。
+ */
+
+module.exports = (api, options, preset) => {
+  const babelConfig = {
+    presets: ['@babel/preset-env']
+  }
+
+  api.extendPackage({
+    devDependencies: {
+      '@babel/core': '^7.24.0',
+      '@babel/preset-env': '^7.24.0'
+    }
+  })
+
+  if (api.framework === 'react') {
+    babelConfig.presets.push(['@babel/preset-react', { runtime: 'automatic' }])
+    api.extendPackage({
+      devDependencies: {
+        '@babel/preset-react': '^7.24.0'
+      }
+    })
+  }
+
+  if (api.typescript) {
+    babelConfig.presets.push('@babel/preset-typescript')
+    api.extendPackage({
+      devDependencies: {
+        '@babel/preset-typescript': '^7.24.0'
+      }
+    })
+  }
+
+  if (preset.useConfigFiles) {
+    api.render(files => {
+      files['babel.config.js'] = `module.exports = ${JSON.stringify(babelConfig, null, 2)}\n`
+    })
+  } else {
+    api.extendPackage({ babel: babelConfig })
+  }
+}
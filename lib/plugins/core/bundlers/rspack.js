@@ -0,0 +1,7 @@
+/**
+ * Rspack构建配置
+ *
+ * 配置格式与webpack一致，具体实现见webpack.js。
+ */
+
+module.exports = require('./webpack').createBundler('rspack')
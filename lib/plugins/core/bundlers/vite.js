@@ -0,0 +1,93 @@
+/**
+ * Vite构建配置
+ *
+ * 生成vite.config.js，按框架添加对应的Vite插件，并将index.html的入口指向项目实际的入口文件。
+ */
+
+// 各框架的Vite插件
+const FRAMEWORK_PLUGINS = {
+  vue: {
+    deps: { '@vitejs/plugin-vue': '^5.0.0' },
+    imports: [`import vue from '@vitejs/plugin-vue'`],
+    plugins: ['vue()']
+  },
+  react: {
+    deps: { '@vitejs/plugin-react': '^4.2.0' },
+    imports: [`import react from '@vitejs/plugin-react'`],
+    plugins: ['react()']
+  },
+  svelte: {
+    deps: { '@sveltejs/vite-plugin-svelte': '^3.1.0' },
+    imports: [`import { svelte } from '@sveltejs/vite-plugin-svelte'`],
+    plugins: ['svelte()'],
+    // 测试时使用浏览器端的Svelte构建
+    extra: [
+      '  resolve: {',
+      `    conditions: process.env.VITEST ? ['browser'] : []`,
+      '  }'
+    ]
+  },
+  vanilla: {
+    deps: {},
+    imports: [],
+    plugins: []
+  }
+}
+
+module.exports = (api) => {
+  const framework = FRAMEWORK_PLUGINS[api.framework] || FRAMEWORK_PLUGINS.vue
+
+  api.extendPackage({
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview'
+    },
+    devDependencies: {
+      vite: '^5.2.0',
+      ...framework.deps
+    }
+  })
+
+  api.render(files => {
+    // 模板中的入口是JavaScript文件，TypeScript项目的入口为 main.ts/main.tsx
+    if (files['index.html']) {
+      files['index.html'] = files['index.html'].replace(/(<script type="module" src=")[^"]*("><\/script>)/, `$1/${api.entryFile}$2`)
+    }
+
+    files['vite.config.js'] = renderConfig(`import { defineConfig } from 'vite'`, framework)
+  })
+}
+
+/**
+ * 生成Vite配置文件内容
+ * @param {string} defineImport - defineConfig的import语句（vite或vitest/config）
+ * @param {Object} framework - 框架的Vite插件信息
+ * @param {Array<string>} extra - 额外的配置行
+ * @returns {string} 配置文件内容
+ */
+function renderConfig(defineImport, framework, extra = []) {
+  const body = []
+  if (framework.plugins.length > 0) {
+    body.push(`  plugins: [${framework.plugins.join(', ')}]`)
+  }
+  if (framework.extra) {
+    body.push(framework.extra.join('\n'))
+  }
+  if (extra.length > 0) {
+    body.push(extra.join('\n'))
+  }
+
+  return [
+    defineImport,
+    ...framework.imports,
+    '',
+    ...(body.length > 0
+      ? ['export default defineConfig({', body.join(',\n'), '})']
+      : ['export default defineConfig({})']),
+    ''
+  ].join('\n')
+}
+
+module.exports.FRAMEWORK_PLUGINS = FRAMEWORK_PLUGINS
+module.exports.renderConfig = renderConfig
@@ -0,0 +1,282 @@
+/**
+ * webpack / Rspack 构建配置
+ *
+ * 两者的配置格式基本一致，由createBundler()按类型生成：
+ * - webpack使用babel-loader/ts-loader转换JSX和TypeScript，html-webpack-plugin生成页面
+ * - Rspack使用内置的swc-loader和HtmlRspackPlugin
+ *
+ * 模板中的index.html是为Vite准备的，入口<script type="module">由HTML插件注入，故在此移除。
+ */
+
+// 两种构建工具的命令、依赖和配置文件差异
+const BUNDLER_TYPES = {
+  webpack: {
+    configFile: 'webpack.config.js',
+    scripts: {
+      dev: 'webpack serve --mode development',
+      build: 'webpack --mode production'
+    },
+    deps: {
+      webpack: '^5.91.0',
+      'webpack-cli': '^5.1.0',
+      'webpack-dev-server': '^5.0.0',
+      'html-webpack-plugin': '^5.6.0'
+    },
+    requires: [`const HtmlWebpackPlugin = require('html-webpack-plugin')`],
+    htmlPlugin: `new HtmlWebpackPlugin({ template: './index.html' })`
+  },
+  rspack: {
+    configFile: 'rspack.config.js',
+    scripts: {
+      dev: 'rspack serve',
+      build: 'rspack build'
+    },
+    deps: {
+      '@rspack/core': '^1.0.0',
+      '@rspack/cli': '^1.0.0'
+    },
+    requires: [
+      `const { defineConfig } = require('@rspack/cli')`,
+      `const { rspack } = require('@rspack/core')`
+    ],
+    htmlPlugin: `new rspack.HtmlRspackPlugin({ template: './index.html' })`
+  }
+}
+
+// 各框架的loader、插件和解析配置，rules和deps可按构建工具分别声明
+// scriptRules/scriptDeps只用于JavaScript项目，TypeScript项目改用TS_RULES，typescript字段可替换框架的rules
+const FRAMEWORK_CONFIGS = {
+  vue: {
+    extensions: ['.js', '.vue', '.json'],
+    deps: { 'vue-loader': '^17.4.0' },
+    requires: [`const { VueLoaderPlugin } = require('vue-loader')`],
+    rules: {
+      webpack: [`{ test: /\\.vue$/, loader: 'vue-loader' }`],
+      rspack: [`{ test: /\\.vue$/, loader: 'vue-loader', options: { experimentalInlineMatchResource: true } }`]
+    },
+    plugins: ['new VueLoaderPlugin()']
+  },
+  react: {
+    extensions: ['.js', '.jsx', '.json'],
+    scriptDeps: {
+      webpack: {
+        'babel-loader': '^9.1.0',
+        '@babel/core': '^7.24.0',
+        '@babel/preset-react': '^7.24.0'
+      },
+      rspack: {}
+    },
+    scriptRules: {
+      webpack: [
+        `{ test: /\\.jsx?$/, exclude: /node_modules/, loader: 'babel-loader', options: { presets: [['@babel/preset-react', { runtime: 'automatic' }]] } }`
+      ],
+      rspack: [
+        `{ test: /\\.jsx?$/, exclude: /node_modules/, loader: 'builtin:swc-loader', options: { jsc: { parser: { syntax: 'ecmascript', jsx: true }, transform: { react: { runtime: 'automatic' } } } }, type: 'javascript/auto' }`
+      ]
+    }
+  },
+  svelte: {
+    extensions: ['.mjs', '.js', '.svelte', '.json'],
+    deps: { 'svelte-loader': '^3.2.0' },
+    rules: [
+      `{ test: /\\.svelte$/, loader: 'svelte-loader' }`,
+      // svelte的.mjs文件没有写完整扩展名
+      `{ test: /node_modules\\/svelte\\/.*\\.mjs$/, resolve: { fullySpecified: false } }`
+    ],
+    resolve: [
+      `conditionNames: ['svelte', 'browser', 'import']`,
+      `mainFields: ['svelte', 'browser', 'module', 'main']`
+    ],
+    // <script lang="ts">需要svelte-preprocess
+    typescript: {
+      deps: { 'svelte-preprocess': '^5.1.0' },
+      rules: [
+        `{ test: /\\.svelte$/, loader: 'svelte-loader', options: { preprocess: require('svelte-preprocess')() } }`,
+        `{ test: /node_modules\\/svelte\\/.*\\.mjs$/, resolve: { fullySpecified: false } }`
+      ]
+    }
+  },
+  vanilla: {
+    extensions: ['.js', '.json']
+  }
+}
+
+// TypeScript项目的脚本转换规则
+const TS_RULES = {
+  webpack: {
+    vue: `{ test: /\\.ts$/, exclude: /node_modules/, loader: 'ts-loader', options: { transpileOnly: true, appendTsSuffixTo: [/\\.vue$/] } }`,
+    react: `{ test: /\\.tsx?$/, exclude: /node_modules/, loader: 'ts-loader', options: { transpileOnly: true } }`,
+    default: `{ test: /\\.ts$/, exclude: /node_modules/, loader: 'ts-loader', options: { transpileOnly: true } }`
+  },
+  rspack: {
+    react: `{ test: /\\.tsx?$/, exclude: /node_modules/, loader: 'builtin:swc-loader', options: { jsc: { parser: { syntax: 'typescript', tsx: true }, transform: { react: { runtime: 'automatic' } } } }, type: 'javascript/auto' }`,
+    default: `{ test: /\\.ts$/, exclude: /node_modules/, loader: 'builtin:swc-loader', options: { jsc: { parser: { syntax: 'typescript' } } }, type: 'javascript/auto' }`
+  }
+}
+
+// TypeScript项目的loader依赖
+const TS_DEPS = {
+  webpack: { 'ts-loader': '^9.5.0' },
+  rspack: {}
+}
+
+// CSS预处理器对应的loader
+const PREPROCESSOR_LOADERS = {
+  sass: { test: '/\\.s[ac]ss$/', loader: 'sass-loader', deps: { 'sass-loader': '^14.2.0' } },
+  less: { test: '/\\.less$/', loader: 'less-loader', deps: { 'less-loader': '^12.2.0' } },
+  stylus: { test: '/\\.styl(us)?$/', loader: 'stylus-loader', deps: { 'stylus-loader': '^8.1.0' } }
+}
+
+// 样式相关的公共依赖
+const STYLE_DEPS = {
+  'style-loader': '^4.0.0',
+  'css-loader': '^7.1.0'
+}
+
+/**
+ * 创建webpack或Rspack的生成函数
+ * @param {string} type - webpack或rspack
+ * @returns {Function} (api, preset) => void
+ */
+function createBundler(type) {
+  const bundler = BUNDLER_TYPES[type]
+
+  return (api, preset) => {
+    const framework = FRAMEWORK_CONFIGS[api.framework] || FRAMEWORK_CONFIGS.vue
+    const preprocessor = PREPROCESSOR_LOADERS[(preset.options || {}).cssPreprocessor]
+    const typescript = api.typescript
+
+    const scriptDeps = typescript
+      ? { ...TS_DEPS[type], ...(framework.typescript ? framework.typescript.deps : {}) }
+      : pick(framework.scriptDeps, type)
+
+    api.extendPackage({
+      scripts: bundler.scripts,
+      devDependencies: {
+        ...bundler.deps,
+        ...STYLE_DEPS,
+        ...pick(framework.deps, type),
+        ...scriptDeps,
+        ...(preprocessor ? preprocessor.deps : {})
+      }
+    })
+
+    api.render(files => {
+      if (files['index.html']) {
+        files['index.html'] = files['index.html'].replace(/^\s*<script type="module" src="[^"]*"><\/script>\r?\n/m, '')
+      }
+
+      files[bundler.configFile] = renderConfig(type, {
+        entry: `./${api.entryFile}`,
+        framework: api.framework,
+        typescript,
+        preprocessor
+      })
+    })
+  }
+}
+
+/**
+ * 生成配置文件内容
+ * @param {string} type - webpack或rspack
+ * @param {Object} options - 选项
+ * @param {string} options.entry - 入口文件
+ * @param {string} options.framework - 框架
+ * @param {boolean} options.typescript - 是否为TypeScript项目
+ * @param {Object} options.preprocessor - CSS预处理器loader
+ * @returns {string} 配置文件内容
+ */
+function renderConfig(type, { entry, framework: frameworkName, typescript, preprocessor }) {
+  const bundler = BUNDLER_TYPES[type]
+  const framework = FRAMEWORK_CONFIGS[frameworkName] || FRAMEWORK_CONFIGS.vue
+  const styleLoaders = `['style-loader', 'css-loader']`
+  // Rspack启用原生CSS时，交给style-loader处理的样式需声明为JS模块
+  const styleType = type === 'rspack' ? `, type: 'javascript/auto'` : ''
+
+  const frameworkRules = typescript && framework.typescript
+    ? framework.typescript.rules
+    : pick(framework.rules, type)
+  const scriptRules = typescript
+    ? [TS_RULES[type][frameworkName] || TS_RULES[type].default]
+    : pick(framework.scriptRules, type)
+
+  const rules = [
+    ...frameworkRules,
+    ...scriptRules,
+    `{ test: /\\.css$/, use: ${styleLoaders}${styleType} }`
+  ]
+  if (preprocessor) {
+    rules.push(`{ test: ${preprocessor.test}, use: ['style-loader', 'css-loader', '${preprocessor.loader}']${styleType} }`)
+  }
+
+  const extensions = typescript ? ['.ts', '.tsx', ...framework.extensions] : framework.extensions
+  const resolve = [
+    `extensions: [${extensions.map(ext => `'${ext}'`).join(', ')}]`,
+    ...(framework.resolve || [])
+  ]
+
+  const plugins = [...(framework.plugins || []), bundler.htmlPlugin]
+
+  const config = [
+    '{',
+    `  entry: '${entry}',`,
+    '  output: {',
+    `    path: path.resolve(__dirname, 'dist'),`,
+    `    filename: 'assets/[name].[contenthash:8].js',`,
+    '    clean: true',
+    '  },',
+    '  resolve: {',
+    indent(resolve, 4).join(',\n'),
+    '  },',
+    '  module: {',
+    '    rules: [',
+    indent(rules, 6).join(',\n'),
+    '    ]',
+    '  },',
+    '  plugins: [',
+    indent(plugins, 4).join(',\n'),
+    '  ],',
+    '  devServer: {',
+    '    historyApiFallback: true,',
+    '    hot: true',
+    '  }',
+    '}'
+  ].join('\n')
+
+  return [
+    `const path = require('path')`,
+    ...bundler.requires,
+    ...(framework.requires || []),
+    '',
+    type === 'rspack'
+      ? `module.exports = defineConfig(${config})`
+      : `module.exports = ${config}`,
+    ''
+  ].join('\n')
+}
+
+/**
+ * 取出按构建工具区分的配置项，未区分时直接返回
+ * @param {Array|Object} value - 配置项
+ * @param {string} type - webpack或rspack
+ * @returns {Array|Object}
+ */
+function pick(value, type) {
+  if (value && !Array.isArray(value) && (value.webpack || value.rspack)) {
+    return value[type]
+  }
+  return value || []
+}
+
+/**
+ * 为每行添加缩进
+ * @param {Array<string>} lines - 行
+ * @param {number} size - 缩进空格数
+ * @returns {Array<string>}
+ */
+function indent(lines, size) {
+  return lines.map(line => ' '.repeat(size) + line)
+}
+
+module.exports = createBundler('webpack')
+module.exports.createBundler = createBundler
@@ -0,0 +1,88 @@
+/**
+ * @frontend-cli/core 生成器
+ *
+ * 所有项目都会调用的基础插件，先渲染各框架共用的 templates/base（README），
+ * 再渲染预设对应的模板目录：
+ * - 优先使用 preset.template 指定的模板（内置模板名称或外部预设的模板绝对路径）
+ * - 其次使用与预设同名的 templates/<preset.name>
+ * - 都不存在时使用 templates/default
+ *
+ * 模板目录中的 package.json 不会直接输出，而是合并到项目的package.json中。
+ * 构建工具由 preset.options.bundler 决定（vite/webpack/rspack），生成对应的配置文件、依赖和脚本。
+ */
+
+const path = require('path')
+const fs = require('fs-extra')
+
+const logger = require('../../utils/logger')
+
+// 构建工具配置生成
+const BUNDLERS = {
+  vite: require('./bundlers/vite'),
+  webpack: require('./bundlers/webpack'),
+  rspack: require('./bundlers/rspack')
+}
+
+// 预设模板根目录，每个预设对应一个同名子目录
+const TEMPLATES_DIR = path.resolve(__dirname, '../../../templates')
+// 预设没有对应模板目录时使用的通用模板
+const DEFAULT_TEMPLATE = 'default'
+// 所有模板共用的文件
+const BASE_TEMPLATE = 'base'
+// 已更名的模板，兼容旧版本保存的预设
+const TEMPLATE_ALIASES = {
+  'vue-basic': 'vue'
+}
+
+// CSS预处理器依赖
+const CSS_PREPROCESSOR_DEPS = {
+  sass: { sass: '^1.77.0' },
+  less: { less: '^4.2.0' },
+  stylus: { stylus: '^0.63.0' }
+}
+
+module.exports = (api, options, preset) => {
+  const templateDir = resolveTemplateDir(preset)
+  logger.debug(`使用模板目录: ${templateDir}`)
+
+  api.render(path.join(TEMPLATES_DIR, BASE_TEMPLATE))
+  api.render(templateDir)
+
+  // 模板自带的package.json片段合并到项目package.json
+  api.render(files => {
+    if (files['package.json']) {
+      api.extendPackage(JSON.parse(files['package.json']))
+      delete files['package.json']
+    }
+  })
+
+  const bundler = BUNDLERS[api.bundler] || BUNDLERS.vite
+  bundler(api, preset)
+
+  const { cssPreprocessor } = preset.options || {}
+  if (cssPreprocessor && CSS_PREPROCESSOR_DEPS[cssPreprocessor]) {
+    api.extendPackage({ devDependencies: CSS_PREPROCESSOR_DEPS[cssPreprocessor] })
+  }
+}
+
+/**
+ * 解析预设对应的模板目录
+ * @param {Object} preset - 预设配置
+ * @returns {string} 模板目录路径
+ */
+function resolveTemplateDir(preset) {
+  const name = preset.template || preset.name
+  const templateName = TEMPLATE_ALIASES[name] || name
+
+  if (templateName) {
+    const templateDir = path.isAbsolute(templateName)
+      ? templateName
+      : path.join(TEMPLATES_DIR, templateName)
+    if (fs.existsSync(templateDir)) {
+      return templateDir
+    }
+    logger.debug(`预设 ${templateName} 没有对应的模板目录，使用默认模板`)
+  }
+
+  return path.join(TEMPLATES_DIR, DEFAULT_TEMPLATE)
+}
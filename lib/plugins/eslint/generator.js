@@ -0,0 +1,136 @@
+/**
+ * @frontend-cli/plugin-eslint 生成器
+ *
+ * 根据options.config生成ESLint配置（base/standard/prettier），并按框架添加对应的ESLint插件。
+ * TypeScript项目使用 @typescript-eslint 解析器和推荐规则。
+ */
+
+const CONFIG_DEPS = {
+  base: {},
+  standard: {
+    'eslint-config-standard': '^17.1.0',
+    'eslint-plugin-import': '^2.29.0',
+    'eslint-plugin-n': '^16.6.0',
+    'eslint-plugin-promise': '^6.1.0'
+  },
+  prettier: {
+    prettier: '^3.2.0',
+    'eslint-config-prettier': '^9.1.0',
+    'eslint-plugin-prettier': '^5.1.0'
+  }
+}
+
+const CONFIG_EXTENDS = {
+  base: [],
+  standard: ['standard'],
+  prettier: ['plugin:prettier/recommended']
+}
+
+// 各框架的ESLint插件、规则集和需要检查的文件扩展名
+const FRAMEWORK_CONFIGS = {
+  vue: {
+    deps: { 'eslint-plugin-vue': '^9.23.0' },
+    extends: ['plugin:vue/vue3-essential'],
+    extensions: ['.vue']
+  },
+  react: {
+    deps: {
+      'eslint-plugin-react': '^7.34.0',
+      'eslint-plugin-react-hooks': '^4.6.0'
+    },
+    extends: ['plugin:react/recommended', 'plugin:react/jsx-runtime', 'plugin:react-hooks/recommended'],
+    extensions: [],
+    settings: { react: { version: 'detect' } }
+  },
+  svelte: {
+    deps: { 'eslint-plugin-svelte': '^2.39.0' },
+    extends: ['plugin:svelte/recommended'],
+    extensions: ['.svelte']
+  },
+  vanilla: {
+    deps: {},
+    extends: [],
+    extensions: []
+  }
+}
+
+// TypeScript解析器和规则集
+const TYPESCRIPT_DEPS = {
+  '@typescript-eslint/parser': '^7.8.0',
+  '@typescript-eslint/eslint-plugin': '^7.8.0'
+}
+
+module.exports = (api, options, preset) => {
+  const config = options.config || 'base'
+  const framework = FRAMEWORK_CONFIGS[api.framework] || FRAMEWORK_CONFIGS.vue
+
+  const eslintConfig = {
+    root: true,
+    env: { browser: true, node: true, es2022: true },
+    extends: [
+      'eslint:recommended',
+      ...framework.extends,
+      ...(api.typescript ? ['plugin:@typescript-eslint/recommended'] : []),
+      ...(CONFIG_EXTENDS[config] || [])
+    ],
+    parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+    rules: {}
+  }
+
+  if (framework.settings) {
+    eslintConfig.settings = framework.settings
+  }
+
+  if (api.typescript) {
+    applyTypeScriptParser(eslintConfig, api.framework)
+  }
+
+  const extensions = ['.js', '.jsx', '.ts', '.tsx', ...framework.extensions]
+
+  api.extendPackage({
+    scripts: {
+      lint: `eslint src --ext ${extensions.join(',')}`
+    },
+    devDependencies: {
+      eslint: '^8.57.0',
+      ...framework.deps,
+      ...(api.typescript ? TYPESCRIPT_DEPS : {}),
+      ...(CONFIG_DEPS[config] || {})
+    }
+  })
+
+  if (preset.useConfigFiles) {
+    api.render(files => {
+      files['.eslintrc.js'] = `module.exports = ${JSON.stringify(eslintConfig, null, 2)}\n`
+    })
+  } else {
+    api.extendPackage({ eslintConfig })
+  }
+}
+
+/**
+ * 配置TypeScript解析器，Vue和Svelte的单文件组件由各自的解析器处理，脚本部分再交给TypeScript解析器
+ * @param {Object} eslintConfig - ESLint配置
+ * @param {string} framework - 框架
+ */
+function applyTypeScriptParser(eslintConfig, framework) {
+  const parser = '@typescript-eslint/parser'
+
+  if (framework === 'vue') {
+    eslintConfig.parserOptions.parser = parser
+    return
+  }
+
+  eslintConfig.parser = parser
+
+  if (framework === 'svelte') {
+    eslintConfig.parserOptions.extraFileExtensions = ['.svelte']
+    eslintConfig.overrides = [
+      {
+        files: ['*.svelte'],
+        parser: 'svelte-eslint-parser',
+        parserOptions: { parser }
+      }
+    ]
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * @frontend-cli/plugin-git-hooks 生成器
+ *
+ * 添加husky管理的Git钩子：
+ * - pre-commit：使用ESLint插件时通过lint-staged检查暂存的文件，匹配的文件类型与ESLint插件一致
+ * - commit-msg：options.commitlint为true时使用commitlint校验Conventional Commits格式
+ *
+ * 钩子由prepare脚本（husky）安装，创建项目时在Git仓库初始化之后通过完成钩子执行。
+ */
+
+const fs = require('fs-extra')
+
+const logger = require('../../utils/logger')
+const PackageManager = require('../../utils/PackageManager')
+const { resolvePluginId } = require('../../core/pluginResolver')
+
+const ESLINT_PLUGIN = resolvePluginId('eslint')
+
+// 单文件组件的扩展名
+const FRAMEWORK_EXTENSIONS = {
+  vue: ['vue'],
+  svelte: ['svelte']
+}
+
+// Prettier负责格式化的非脚本文件
+const PRETTIER_EXTENSIONS = ['css', 'scss', 'less', 'html', 'json', 'md']
+
+module.exports = (api, options, preset) => {
+  const packageManager = new PackageManager({
+    context: api.resolve(),
+    packageManager: PackageManager.detect({ context: api.resolve(), preset }).name
+  })
+  const lintStaged = buildLintStagedConfig(api, preset)
+  const hasLintStaged = Object.keys(lintStaged).length > 0
+
+  api.extendPackage(pkg => {
+    // 保留项目已有的prepare脚本
+    const prepare = pkg.scripts && pkg.scripts.prepare
+    return {
+      scripts: {
+        prepare: prepare && !prepare.includes('husky') ? `${prepare} && husky` : prepare || 'husky'
+      },
+      devDependencies: {
+        husky: '^9.0.11',
+        ...(hasLintStaged ? { 'lint-staged': '^15.2.2' } : {}),
+        ...(options.commitlint
+          ? { '@commitlint/cli': '^19.3.0', '@commitlint/config-conventional': '^19.2.2' }
+          : {})
+      }
+    }
+  })
+
+  const commitlintConfig = { extends: ['@commitlint/config-conventional'] }
+
+  if (preset.useConfigFiles) {
+    api.render(files => {
+      if (hasLintStaged) files['.lintstagedrc.json'] = `${JSON.stringify(lintStaged, null, 2)}\n`
+      if (options.commitlint) files['.commitlintrc.json'] = `${JSON.stringify(commitlintConfig, null, 2)}\n`
+    })
+  } else {
+    api.extendPackage({
+      ...(hasLintStaged ? { 'lint-staged': lintStaged } : {}),
+      ...(options.commitlint ? { commitlint: commitlintConfig } : {})
+    })
+  }
+
+  api.render(files => {
+    if (hasLintStaged) {
+      files['.husky/pre-commit'] = `${packageManager.getExecCommand('lint-staged')}\n`
+    }
+    if (options.commitlint) {
+      files['.husky/commit-msg'] = `${packageManager.getExecCommand('commitlint')} --edit "$1"\n`
+    }
+  })
+
+  if (!hasLintStaged) {
+    logger.warn('项目没有使用ESLint，不生成pre-commit钩子')
+  }
+
+  api.onCreateComplete(async () => {
+    // husky只能在Git仓库根目录安装钩子
+    if (!(await fs.pathExists(api.resolve('.git')))) {
+      logger.warn('项目目录不是Git仓库根目录，跳过Git钩子安装。初始化仓库后运行prepare脚本安装')
+      return
+    }
+
+    logger.info('🪝 安装Git钩子')
+    await packageManager.runScript('prepare')
+  })
+}
+
+/**
+ * 生成lint-staged配置，按项目的Linter和文件类型匹配
+ * @param {GeneratorAPI} api - 生成器API
+ * @param {Object} preset - 预设配置
+ * @returns {Object} lint-staged配置 {glob: 命令}，没有Linter时为空对象
+ */
+function buildLintStagedConfig(api, preset) {
+  const eslint = (preset.plugins || {})[ESLINT_PLUGIN]
+  if (!eslint) return {}
+
+  const extensions = [
+    'js',
+    'jsx',
+    ...(api.typescript ? ['ts', 'tsx'] : []),
+    ...(FRAMEWORK_EXTENSIONS[api.framework] || [])
+  ]
+
+  const config = {
+    [`*.{${extensions.join(',')}}`]: 'eslint --fix'
+  }
+
+  if (eslint.config === 'prettier') {
+    config[`*.{${PRETTIER_EXTENSIONS.join(',')}}`] = 'prettier --write'
+  }
+
+  return config
+}
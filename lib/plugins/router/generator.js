@@ -0,0 +1,48 @@
+/**
+ * @frontend-cli/plugin-router 生成器
+ *
+ * 根据框架添加vue-router或react-router-dom，生成路由配置和示例页面，并在入口文件中注册路由。
+ */
+
+module.exports = (api, options) => {
+  const historyMode = options.historyMode !== false
+
+  if (api.framework === 'react') {
+    const routerComponent = historyMode ? 'BrowserRouter' : 'HashRouter'
+
+    api.extendPackage({
+      dependencies: {
+        'react-router-dom': '^6.23.0'
+      }
+    })
+
+    api.render('./template/react')
+
+    api.injectImports(api.entryFile, `import { ${routerComponent} } from 'react-router-dom'`)
+
+    api.render(files => {
+      const entry = api.entryFile
+      if (files[entry]) {
+        files[entry] = files[entry].replace(/^( *)<App \/>$/m, `$1<${routerComponent}>\n$1  <App />\n$1</${routerComponent}>`)
+      }
+    })
+    return
+  }
+
+  api.extendPackage({
+    dependencies: {
+      'vue-router': '^4.3.0'
+    }
+  })
+
+  api.render('./template/vue', { historyMode })
+
+  api.injectImports(api.entryFile, `import router from './router'`)
+
+  api.render(files => {
+    const entry = api.entryFile
+    if (files[entry]) {
+      files[entry] = files[entry].replace(/createApp\(App\)/, 'createApp(App).use(router)')
+    }
+  })
+}
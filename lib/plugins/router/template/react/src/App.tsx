@@ -0,0 +1,19 @@
+import { Link, Route, Routes } from 'react-router-dom'
+import Home from './views/Home'
+import About from './views/About'
+
+function App() {
+  return (
+    <>
+      <nav>
+        <Link to="/">Home</Link> | <Link to="/about">About</Link>
+      </nav>
+      <Routes>
+        <Route path="/" element={<Home />} />
+        <Route path="/about" element={<About />} />
+      </Routes>
+    </>
+  )
+}
+
+export default App
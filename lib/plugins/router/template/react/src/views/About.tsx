@@ -0,0 +1,9 @@
+function About() {
+  return (
+    <div className="about">
+      <h1>About</h1>
+    </div>
+  )
+}
+
+export default About
@@ -0,0 +1,9 @@
+function Home() {
+  return (
+    <div className="home">
+      <h1><%= projectName %></h1>
+    </div>
+  )
+}
+
+export default Home
@@ -0,0 +1,22 @@
+import { createRouter, <%= historyMode ? 'createWebHistory' : 'createWebHashHistory' %> } from 'vue-router'
+import HomeView from '../views/HomeView.vue'
+
+const routes = [
+  {
+    path: '/',
+    name: 'home',
+    component: HomeView
+  },
+  {
+    path: '/about',
+    name: 'about',
+    component: () => import('../views/AboutView.vue')
+  }
+]
+
+const router = createRouter({
+  history: <%= historyMode ? 'createWebHistory' : 'createWebHashHistory' %>(),
+  routes
+})
+
+export default router
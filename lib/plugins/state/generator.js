@@ -0,0 +1,148 @@
+/**
+ * @frontend-cli/plugin-state 生成器
+ *
+ * 根据options.library添加状态管理库，生成示例store并在入口文件中注册：
+ * - Vue：Pinia（默认）或Vuex
+ * - React：Zustand（默认）或Redux Toolkit
+ *
+ * TypeScript项目生成 .ts 文件。
+ */
+
+module.exports = (api, options) => {
+  const ext = api.typescript ? 'ts' : 'js'
+
+  if (api.framework === 'react') {
+    generateReactStore(api, options.library || 'zustand', ext)
+    return
+  }
+
+  const library = options.library || 'pinia'
+
+  if (library === 'vuex') {
+    api.extendPackage({ dependencies: { vuex: '^4.1.0' } })
+    api.injectImports(api.entryFile, `import store from './store'`)
+    api.render(files => {
+      files[`src/store/index.${ext}`] = [
+        `import { createStore } from 'vuex'`,
+        '',
+        'export default createStore({',
+        '  state: () => ({ count: 0 }),',
+        '  mutations: {',
+        '    increment(state) {',
+        '      state.count++',
+        '    }',
+        '  }',
+        '})',
+        ''
+      ].join('\n')
+      injectUse(api, files, 'store')
+    })
+    return
+  }
+
+  api.extendPackage({ dependencies: { pinia: '^2.1.0' } })
+  api.injectImports(api.entryFile, `import { createPinia } from 'pinia'`)
+  api.render(files => {
+    files[`src/stores/counter.${ext}`] = [
+      `import { defineStore } from 'pinia'`,
+      '',
+      `export const useCounterStore = defineStore('counter', {`,
+      '  state: () => ({ count: 0 }),',
+      '  actions: {',
+      '    increment() {',
+      '      this.count++',
+      '    }',
+      '  }',
+      '})',
+      ''
+    ].join('\n')
+    injectUse(api, files, 'createPinia()')
+  })
+}
+
+/**
+ * 生成React项目的store
+ * @param {GeneratorAPI} api - 生成器API
+ * @param {string} library - zustand或redux
+ * @param {string} ext - 文件扩展名（js/ts）
+ */
+function generateReactStore(api, library, ext) {
+  if (library === 'redux') {
+    api.extendPackage({
+      dependencies: {
+        '@reduxjs/toolkit': '^2.2.0',
+        'react-redux': '^9.1.0'
+      }
+    })
+    api.injectImports(api.entryFile, [
+      `import { Provider } from 'react-redux'`,
+      `import store from './store'`
+    ])
+    api.render(files => {
+      files[`src/store/index.${ext}`] = [
+        `import { configureStore, createSlice } from '@reduxjs/toolkit'`,
+        '',
+        'export const counterSlice = createSlice({',
+        `  name: 'counter',`,
+        '  initialState: { count: 0 },',
+        '  reducers: {',
+        '    increment(state) {',
+        '      state.count++',
+        '    }',
+        '  }',
+        '})',
+        '',
+        'export const { increment } = counterSlice.actions',
+        '',
+        'export default configureStore({',
+        '  reducer: {',
+        '    counter: counterSlice.reducer',
+        '  }',
+        '})',
+        ''
+      ].join('\n')
+
+      // 用Provider包裹根组件
+      const entry = api.entryFile
+      if (files[entry]) {
+        files[entry] = files[entry].replace(/^( *)<App \/>$/m, '$1<Provider store={store}>\n$1  <App />\n$1</Provider>')
+      }
+    })
+    return
+  }
+
+  api.extendPackage({ dependencies: { zustand: '^4.5.0' } })
+  api.render(files => {
+    files[`src/stores/counter.${ext}`] = [
+      `import { create } from 'zustand'`,
+      '',
+      ...(ext === 'ts'
+        ? [
+            'interface CounterState {',
+            '  count: number',
+            '  increment: () => void',
+            '}',
+            '',
+            'export const useCounterStore = create<CounterState>()(set => ({'
+          ]
+        : ['export const useCounterStore = create(set => ({']),
+      '  count: 0,',
+      '  increment: () => set(state => ({ count: state.count + 1 }))',
+      '}))',
+      ''
+    ].join('\n')
+  })
+}
+
+/**
+ * 在入口文件的createApp(App)调用链上注册插件
+ * @param {GeneratorAPI} api - 生成器API
+ * @param {Object} files - 文件映射
+ * @param {string} expression - 传给use()的表达式
+ */
+function injectUse(api, files, expression) {
+  const entry = api.entryFile
+  if (files[entry]) {
+    files[entry] = files[entry].replace(/createApp\(App\)/, `createApp(App).use(${expression})`)
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * @frontend-cli/plugin-typescript 生成器
+ *
+ * 添加TypeScript依赖，生成与框架和构建工具匹配的tsconfig.json与类型声明文件，
+ * 并添加type-check脚本：
+ * - Vue使用vue-tsc，Svelte使用svelte-check，React和原生项目使用tsc
+ * - Vite项目引用vite/client类型，webpack/Rspack项目声明样式和静态资源模块
+ *
+ * 入口等源码文件由模板的 .ts/.tsx 变体提供，见 Template.renderDirectory()。
+ */
+
+// 各框架的类型检查工具、依赖和tsconfig差异
+const FRAMEWORK_CONFIGS = {
+  vue: {
+    typeCheck: 'vue-tsc --noEmit',
+    deps: { 'vue-tsc': '^2.0.0' },
+    compilerOptions: { jsx: 'preserve' },
+    include: ['src/**/*.ts', 'src/**/*.tsx', 'src/**/*.vue'],
+    declarations: [
+      `declare module '*.vue' {`,
+      `  import type { DefineComponent } from 'vue'`,
+      '  const component: DefineComponent<object, object, unknown>',
+      '  export default component',
+      '}'
+    ]
+  },
+  react: {
+    typeCheck: 'tsc --noEmit',
+    deps: {
+      '@types/react': '^18.3.0',
+      '@types/react-dom': '^18.3.0'
+    },
+    compilerOptions: { jsx: 'react-jsx' },
+    include: ['src']
+  },
+  svelte: {
+    typeCheck: 'svelte-check --tsconfig ./tsconfig.json',
+    deps: {
+      'svelte-check': '^3.7.0',
+      tslib: '^2.6.0'
+    },
+    compilerOptions: { verbatimModuleSyntax: true },
+    include: ['src/**/*.ts', 'src/**/*.js', 'src/**/*.svelte'],
+    declarations: ['/// <reference types="svelte" />']
+  },
+  vanilla: {
+    typeCheck: 'tsc --noEmit',
+    deps: {},
+    compilerOptions: {},
+    include: ['src']
+  }
+}
+
+// webpack/Rspack项目中以模块形式导入的资源
+const ASSET_MODULES = ['*.css', '*.scss', '*.sass', '*.less', '*.styl', '*.svg', '*.png', '*.jpg', '*.gif']
+
+module.exports = (api, options) => {
+  const framework = FRAMEWORK_CONFIGS[api.framework] || FRAMEWORK_CONFIGS.vue
+  const isVite = api.bundler === 'vite'
+
+  api.extendPackage({
+    scripts: {
+      'type-check': framework.typeCheck
+    },
+    devDependencies: {
+      typescript: '^5.4.0',
+      ...framework.deps
+    }
+  })
+
+  if (options.useBabel) {
+    api.extendPackage({
+      devDependencies: {
+        '@babel/preset-typescript': '^7.24.0'
+      }
+    })
+  }
+
+  const tsconfig = {
+    compilerOptions: {
+      target: 'ES2020',
+      useDefineForClassFields: true,
+      module: 'ESNext',
+      lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+      moduleResolution: 'Bundler',
+      resolveJsonModule: true,
+      isolatedModules: true,
+      noEmit: true,
+      strict: true,
+      skipLibCheck: true,
+      esModuleInterop: true,
+      ...framework.compilerOptions
+    },
+    include: framework.include
+  }
+
+  const declarations = [
+    ...(isVite ? ['/// <reference types="vite/client" />'] : []),
+    ...(framework.declarations || []),
+    ...(isVite ? [] : ASSET_MODULES.map(pattern => `declare module '${pattern}'`))
+  ]
+
+  api.render(files => {
+    files['tsconfig.json'] = JSON.stringify(tsconfig, null, 2) + '\n'
+    files['src/env.d.ts'] = declarations.join('\n') + '\n'
+
+    // vite-plugin-svelte需要预处理器才能编译 <script lang="ts">
+    if (api.framework === 'svelte' && isVite) {
+      files['svelte.config.mjs'] = [
+        `import { vitePreprocess } from '@sveltejs/vite-plugin-svelte'`,
+        '',
+        'export default {',
+        '  preprocess: vitePreprocess()',
+        '}',
+        ''
+      ].join('\n')
+    }
+  })
+}
@@ -0,0 +1,88 @@
+/**
+ * @frontend-cli/plugin-unit-jest 生成器
+ *
+ * 添加Jest及对应框架的测试工具，生成示例测试用例。仅支持Vue和React项目。
+ */
+
+module.exports = (api) => {
+  const isReact = api.framework === 'react'
+
+  api.extendPackage({
+    scripts: {
+      test: 'jest'
+    },
+    devDependencies: {
+      jest: '^29.7.0',
+      'jest-environment-jsdom': '^29.7.0',
+      'babel-jest': '^29.7.0',
+      '@babel/core': '^7.24.0',
+      '@babel/preset-env': '^7.24.0'
+    },
+    jest: {
+      testEnvironment: 'jsdom'
+    }
+  })
+
+  if (isReact) {
+    api.extendPackage({
+      devDependencies: {
+        '@babel/preset-react': '^7.24.0',
+        '@testing-library/react': '^14.3.0'
+      },
+      jest: {
+        moduleFileExtensions: ['js', 'jsx', 'json'],
+        transform: {
+          '^.+\\.jsx?$': 'babel-jest'
+        }
+      }
+    })
+  } else {
+    api.extendPackage({
+      devDependencies: {
+        '@vue/test-utils': '^2.4.0',
+        '@vue/vue3-jest': '^29.2.0'
+      },
+      jest: {
+        testEnvironmentOptions: {
+          customExportConditions: ['node', 'node-addons']
+        },
+        moduleFileExtensions: ['js', 'json', 'vue'],
+        transform: {
+          '^.+\\.vue$': '@vue/vue3-jest',
+          '^.+\\.js$': 'babel-jest'
+        }
+      }
+    })
+  }
+
+  // TypeScript源码同样交给babel-jest转换（不做类型检查）
+  if (api.typescript) {
+    api.extendPackage({
+      devDependencies: {
+        '@babel/preset-typescript': '^7.24.0'
+      },
+      jest: {
+        moduleFileExtensions: ['ts', 'tsx'],
+        transform: {
+          '^.+\\.tsx?$': 'babel-jest'
+        }
+      }
+    })
+  }
+
+  // 未选择Babel时需要为babel-jest提供最小配置
+  if (!api.hasPlugin('@frontend-cli/plugin-babel')) {
+    const presets = [['@babel/preset-env', { targets: { node: 'current' } }]]
+    if (isReact) {
+      presets.push(['@babel/preset-react', { runtime: 'automatic' }])
+    }
+    if (api.typescript) {
+      presets.push('@babel/preset-typescript')
+    }
+    api.extendPackage({
+      babel: { presets }
+    })
+  }
+
+  api.render(`./template/${isReact ? 'react' : 'vue'}`)
+}
@@ -0,0 +1,10 @@
+import { render, screen } from '@testing-library/react'
+import HelloWorld from '../../src/components/HelloWorld'
+
+describe('HelloWorld', () => {
+  it('renders props.msg when passed', () => {
+    const msg = 'new message'
+    render(<HelloWorld msg={msg} />)
+    expect(screen.getByText(msg)).toBeTruthy()
+  })
+})
@@ -0,0 +1,12 @@
+import { mount } from '@vue/test-utils'
+import HelloWorld from '../../src/components/HelloWorld.vue'
+
+describe('HelloWorld.vue', () => {
+  it('renders props.msg when passed', () => {
+    const msg = 'new message'
+    const wrapper = mount(HelloWorld, {
+      props: { msg }
+    })
+    expect(wrapper.text()).toMatch(msg)
+  })
+})
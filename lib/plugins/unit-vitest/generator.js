@@ -0,0 +1,47 @@
+/**
+ * @frontend-cli/plugin-unit-vitest 生成器
+ *
+ * 添加Vitest及对应框架的测试工具，生成示例测试用例。
+ * 示例用例通过 @vitest-environment 注释使用jsdom，Vite项目的vite.config.js无需修改；
+ * 使用webpack/Rspack等没有vite.config.js的项目额外生成vitest.config.js。
+ */
+
+const { FRAMEWORK_PLUGINS, renderConfig } = require('../core/bundlers/vite')
+
+// 各框架的测试工具依赖
+const TESTING_DEPS = {
+  vue: { '@vue/test-utils': '^2.4.0' },
+  react: { '@testing-library/react': '^14.3.0' },
+  svelte: { '@testing-library/svelte': '^4.1.0' },
+  vanilla: {}
+}
+
+module.exports = (api) => {
+  const framework = TESTING_DEPS[api.framework] ? api.framework : 'vue'
+
+  api.extendPackage({
+    scripts: {
+      test: 'vitest run'
+    },
+    devDependencies: {
+      vitest: '^1.5.0',
+      jsdom: '^24.0.0',
+      ...TESTING_DEPS[framework]
+    }
+  })
+
+  api.render(`./template/${framework}`)
+
+  api.render(files => {
+    if (files['vite.config.js'] || files['vite.config.ts']) return
+
+    const vitePlugin = FRAMEWORK_PLUGINS[framework]
+    api.extendPackage({ devDependencies: vitePlugin.deps })
+
+    files['vitest.config.js'] = renderConfig(`import { defineConfig } from 'vitest/config'`, vitePlugin, [
+      '  test: {',
+      `    environment: 'jsdom'`,
+      '  }'
+    ])
+  })
+}
@@ -0,0 +1,12 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import HelloWorld from '../../src/components/HelloWorld.jsx'
+
+describe('HelloWorld', () => {
+  it('renders props.msg when passed', () => {
+    const msg = 'new message'
+    render(<HelloWorld msg={msg} />)
+    expect(screen.getByText(msg)).toBeTruthy()
+  })
+})
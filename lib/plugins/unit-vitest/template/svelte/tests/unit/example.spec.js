@@ -0,0 +1,12 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/svelte'
+import HelloWorld from '../../src/lib/HelloWorld.svelte'
+
+describe('HelloWorld.svelte', () => {
+  it('renders props.msg when passed', () => {
+    const msg = 'new message'
+    render(HelloWorld, { props: { msg } })
+    expect(screen.getByText(msg)).toBeTruthy()
+  })
+})
@@ -0,0 +1,13 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { setupCounter } from '../../src/counter'
+
+describe('setupCounter', () => {
+  it('increments the count on click', () => {
+    const button = document.createElement('button')
+    setupCounter(button)
+    expect(button.innerHTML).toBe('count is 0')
+    button.click()
+    expect(button.innerHTML).toBe('count is 1')
+  })
+})
@@ -0,0 +1,13 @@
+/**
+ * Babel 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'Babel',
+    value: 'babel',
+    short: 'Babel',
+    description: '使用Babel转译JavaScript语法',
+    checked: true,
+    plugin: '@frontend-cli/plugin-babel'
+  })
+}
@@ -0,0 +1,30 @@
+/**
+ * CSS预处理器 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'CSS Pre-processors',
+    value: 'css-preprocessor',
+    short: 'CSS',
+    description: '使用Sass、Less或Stylus编写样式'
+  })
+
+  cli.injectPrompt({
+    name: 'cssPreprocessor',
+    when: answers => answers.features.includes('css-preprocessor'),
+    type: 'list',
+    message: '选择CSS预处理器:',
+    choices: [
+      { name: 'Sass/SCSS', value: 'sass' },
+      { name: 'Less', value: 'less' },
+      { name: 'Stylus', value: 'stylus' }
+    ],
+    default: 'sass'
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.cssPreprocessor) {
+      preset.options.cssPreprocessor = answers.cssPreprocessor
+    }
+  })
+}
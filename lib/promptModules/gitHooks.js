@@ -0,0 +1,27 @@
+/**
+ * Git钩子 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'Git Hooks',
+    value: 'gitHooks',
+    short: 'Hooks',
+    description: '使用husky和lint-staged在提交前检查暂存的文件（需要同时选择Linter）'
+  })
+
+  cli.injectPrompt({
+    name: 'commitlint',
+    when: answers => answers.features.includes('gitHooks'),
+    type: 'confirm',
+    message: '是否使用commitlint校验提交信息(Conventional Commits)?',
+    default: false
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.features.includes('gitHooks')) {
+      preset.plugins['@frontend-cli/plugin-git-hooks'] = {
+        commitlint: Boolean(answers.commitlint)
+      }
+    }
+  })
+}
@@ -0,0 +1,32 @@
+/**
+ * Linter 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'Linter / Formatter',
+    value: 'linter',
+    short: 'Linter',
+    description: '使用ESLint检查代码质量和风格',
+    checked: true
+  })
+
+  cli.injectPrompt({
+    name: 'eslintConfig',
+    when: answers => answers.features.includes('linter'),
+    type: 'list',
+    message: '选择ESLint配置:',
+    choices: [
+      { name: 'ESLint 仅错误检查', value: 'base', short: 'Basic' },
+      { name: 'ESLint + Standard', value: 'standard', short: 'Standard' },
+      { name: 'ESLint + Prettier', value: 'prettier', short: 'Prettier' }
+    ]
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.features.includes('linter')) {
+      preset.plugins['@frontend-cli/plugin-eslint'] = {
+        config: answers.eslintConfig
+      }
+    }
+  })
+}
@@ -0,0 +1,27 @@
+/**
+ * Router 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'Router',
+    value: 'router',
+    description: '使用官方路由构建单页应用',
+    frameworks: ['vue', 'react']
+  })
+
+  cli.injectPrompt({
+    name: 'historyMode',
+    when: answers => answers.features.includes('router'),
+    type: 'confirm',
+    message: '路由是否使用history模式? (生产环境需要服务端配合回退到index.html)',
+    default: true
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.features.includes('router')) {
+      preset.plugins['@frontend-cli/plugin-router'] = {
+        historyMode: answers.historyMode
+      }
+    }
+  })
+}
@@ -0,0 +1,44 @@
+/**
+ * 状态管理 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'State',
+    value: 'state',
+    description: '集中管理应用状态',
+    frameworks: ['vue', 'react']
+  })
+
+  // 可选的状态管理库取决于框架，两个提示同名，只会出现其中一个
+  cli.injectPrompt({
+    name: 'stateLibrary',
+    when: answers => answers.features.includes('state') && answers.framework !== 'react',
+    type: 'list',
+    message: '选择状态管理库:',
+    choices: [
+      { name: 'Pinia', value: 'pinia' },
+      { name: 'Vuex', value: 'vuex' }
+    ],
+    default: 'pinia'
+  })
+
+  cli.injectPrompt({
+    name: 'stateLibrary',
+    when: answers => answers.features.includes('state') && answers.framework === 'react',
+    type: 'list',
+    message: '选择状态管理库:',
+    choices: [
+      { name: 'Zustand', value: 'zustand' },
+      { name: 'Redux Toolkit', value: 'redux' }
+    ],
+    default: 'zustand'
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.features.includes('state')) {
+      preset.plugins['@frontend-cli/plugin-state'] = {
+        library: answers.stateLibrary
+      }
+    }
+  })
+}
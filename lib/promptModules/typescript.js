@@ -0,0 +1,29 @@
+/**
+ * TypeScript 提示模块
+ */
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'TypeScript',
+    value: 'ts',
+    short: 'TS',
+    description: '使用TypeScript编写源代码',
+    // 原生模板始终使用TypeScript
+    frameworks: ['vue', 'react', 'svelte']
+  })
+
+  cli.injectPrompt({
+    name: 'tsBabel',
+    when: answers => answers.features.includes('ts') && answers.features.includes('babel'),
+    type: 'confirm',
+    message: '是否同时使用Babel处理TypeScript编译后的代码(用于polyfill)?',
+    default: true
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.features.includes('ts') || answers.framework === 'vanilla') {
+      preset.plugins['@frontend-cli/plugin-typescript'] = {
+        useBabel: Boolean(answers.tsBabel)
+      }
+    }
+  })
+}
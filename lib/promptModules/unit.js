@@ -0,0 +1,33 @@
+/**
+ * 单元测试 提示模块
+ */
+
+// Jest方案只提供了Vue和React的转换配置，其余框架固定使用Vitest
+const JEST_FRAMEWORKS = ['vue', 'react']
+
+module.exports = cli => {
+  cli.injectFeature({
+    name: 'Unit Testing',
+    value: 'unit',
+    short: 'Unit',
+    description: '添加单元测试'
+  })
+
+  cli.injectPrompt({
+    name: 'unit',
+    when: answers => answers.features.includes('unit') && JEST_FRAMEWORKS.includes(answers.framework),
+    type: 'list',
+    message: '选择单元测试方案:',
+    choices: [
+      { name: 'Jest', value: 'jest' },
+      { name: 'Vitest', value: 'vitest' }
+    ],
+    default: 'vitest'
+  })
+
+  cli.onPromptComplete((answers, preset) => {
+    if (answers.features.includes('unit')) {
+      preset.plugins[`@frontend-cli/plugin-unit-${answers.unit || 'vitest'}`] = {}
+    }
+  })
+}
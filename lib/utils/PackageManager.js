@@ -2,11 +2,13 @@
  * PackageManager - 包管理器抽象类
  * 
  * 提供统一的包管理接口：
- * 1. 支持npm/yarn/pnpm等包管理器
+ * 1. 支持npm、yarn 1.x、yarn 2+（Berry）、pnpm和bun，并可自动检测项目应使用的包管理器
  * 2. 统一的安装、卸载、升级接口
  * 3. 版本锁定和缓存管理
  * 4. 镜像源配置支持
  * 5. 并发安装优化
+ * 6. 安装失败时按错误类型重试（指数退避）
+ * 7. 离线安装（--offline/--prefer-offline），离线时预先检查缓存
  * 
  * 开发指南：
  * - 使用抽象工厂模式支持多种包管理器
@@ -19,9 +21,34 @@ const { spawn } = require('child_process')
 const path = require('path')
 const fs = require('fs-extra')
 const os = require('os')
+const semver = require('semver')
 
 // 导入工具模块
 const logger = require('./logger')
+const config = require('./config')
+
+// 支持的包管理器，berry为yarn 2+
+const SUPPORTED_MANAGERS = ['npm', 'yarn', 'pnpm', 'berry', 'bun']
+
+// 同一目录存在多个锁文件或PATH中有多个包管理器时的选择顺序
+// Berry与yarn 1.x共用yarn命令和yarn.lock，由findLockFile()和parseUserAgent()区分
+const DETECTION_ORDER = ['pnpm', 'yarn', 'bun', 'npm']
+
+// Berry的项目配置文件
+const YARNRC_FILE = '.yarnrc.yml'
+
+// 安装失败的分类，按顺序匹配命令输出；不可重试的错误放在前面，同时出现时不重试
+const FAILURE_PATTERNS = [
+  { pattern: /ENOTCACHED|ERR_PNPM_NO_OFFLINE|in our cache|offline mode/i, reason: '离线缓存中缺少依赖', retryable: false },
+  { pattern: /ETARGET|No matching version|NO_MATCHING_VERSION|Couldn't find any versions/i, reason: '版本无法解析', retryable: false },
+  { pattern: /E404|404 Not Found|Couldn't find package|ERR_PNPM_FETCH_404/i, reason: '包不存在', retryable: false },
+  { pattern: /ERESOLVE|ERR_PNPM_PEER_DEP/, reason: '依赖冲突', retryable: false },
+  { pattern: /E40[13]\b|40[13] (Unauthorized|Forbidden)/i, reason: '没有访问权限', retryable: false },
+  { pattern: /ETIMEDOUT|ESOCKETTIMEDOUT|ERR_SOCKET_TIMEOUT|network timeout|timed out/i, reason: '网络超时', retryable: true },
+  { pattern: /ECONNRESET|ECONNREFUSED|ECONNABORTED|EPIPE|EAI_AGAIN|socket hang up/i, reason: '网络连接中断', retryable: true },
+  { pattern: /\bE5\d\d\b|ERR_PNPM_FETCH_5\d\d|\b5\d\d (Internal Server Error|Bad Gateway|Service Unavailable|Gateway Time-?out)/i, reason: '镜像源服务端错误(5xx)', retryable: true },
+  { pattern: /EINTEGRITY|integrity check failed|TARBALL_INTEGRITY|Integrity checksum failed/i, reason: '完整性校验失败', retryable: true }
+]
 
 class PackageManager {
   /**
@@ -32,8 +59,17 @@ class PackageManager {
     this.context = options.context || process.cwd()
     this.packageManager = options.packageManager || 'npm'
     this.registry = options.registry || 'https://registry.npmjs.org/'
+    // 只有显式指定镜像源时才传给包管理器，否则使用其自身的配置（.npmrc、.yarnrc.yml等）
+    this.customRegistry = Boolean(options.registry)
     this.concurrent = options.concurrent || 4
-    this.retryTimes = options.retryTimes || 3
+    // 离线模式：只使用本地缓存，安装前检查缓存是否完整
+    this.offline = Boolean(options.offline)
+    // 优先使用缓存，缓存中没有时才访问镜像源
+    this.preferOffline = Boolean(options.preferOffline)
+    // 离线时的失败不会因重试而恢复
+    this.retryTimes = this.offline ? 0 : options.retryTimes ?? 3
+    // 第n次重试前等待 retryDelay * 2^(n-1) 毫秒
+    this.retryDelay = options.retryDelay ?? 1000
     
     // 包管理器特定配置
     this.managerConfig = this.getManagerConfig()
@@ -44,8 +80,108 @@ class PackageManager {
     })
   }
 
+  /**
+   * 检测项目应使用的包管理器
+   *
+   * 优先级：--package-manager 参数 > 预设 > 调用CLI的包管理器（npm_config_user_agent）
+   * > 用户配置 ~/.frontendrc > 项目目录及上级目录中的锁文件 > PATH中可用的包管理器 > npm
+   *
+   * @param {Object} options - 选项
+   * @param {string} options.context - 项目路径
+   * @param {string} [options.packageManager] - 命令行指定的包管理器
+   * @param {Object} [options.preset] - 预设配置
+   * @returns {{name: string, reason: string}} 包管理器名称及选择原因
+   */
+  static detect(options = {}) {
+    const { context = process.cwd(), packageManager, preset = {} } = options
+
+    if (packageManager) {
+      if (!SUPPORTED_MANAGERS.includes(packageManager)) {
+        throw new Error(`不支持的包管理器: ${packageManager}，可选值: ${SUPPORTED_MANAGERS.join(', ')}`)
+      }
+      return { name: packageManager, reason: '命令行参数 --package-manager' }
+    }
+
+    // 旧版本预设把packageManager写在顶层
+    const presetManager = (preset.options && preset.options.packageManager) || preset.packageManager
+    if (SUPPORTED_MANAGERS.includes(presetManager)) {
+      return { name: presetManager, reason: '预设配置' }
+    }
+
+    const agent = this.parseUserAgent(process.env.npm_config_user_agent)
+    if (agent) {
+      return { name: agent, reason: `通过 ${agent} 调用 (npm_config_user_agent)` }
+    }
+
+    const preferred = config.loadOptions().packageManager
+    if (SUPPORTED_MANAGERS.includes(preferred)) {
+      return { name: preferred, reason: `用户配置 ${config.getRcPath()}` }
+    }
+
+    const lock = this.findLockFile(context)
+    if (lock) {
+      return { name: lock.name, reason: `${path.join(lock.dir, lock.file)} 中的锁文件` }
+    }
+
+    const available = DETECTION_ORDER.find(name => this.findExecutable(name))
+    if (available) {
+      return { name: available, reason: `PATH中可用的 ${available}` }
+    }
+
+    return { name: 'npm', reason: '默认' }
+  }
+
+  /**
+   * 从npm_config_user_agent中解析调用CLI的包管理器
+   * @param {string} userAgent - 如 "pnpm/8.15.0 npm/? node/v20.11.0 linux x64"
+   * @returns {string|null} 包管理器名称，无法识别时返回null
+   */
+  static parseUserAgent(userAgent) {
+    if (!userAgent) return null
+
+    const [name, version] = userAgent.split(' ')[0].split('/')
+    if (name === 'yarn' && semver.valid(version) && semver.major(version) >= 2) {
+      return 'berry'
+    }
+    return SUPPORTED_MANAGERS.includes(name) ? name : null
+  }
+
+  /**
+   * 从目录开始向上查找包管理器锁文件
+   * @param {string} dir - 起始目录
+   * @returns {{name: string, file: string, dir: string}|null} 最近的锁文件，找不到时返回null
+   */
+  static findLockFile(dir) {
+    const lockFiles = DETECTION_ORDER.map(name => ({
+      name,
+      file: new PackageManager({ packageManager: name }).managerConfig.lockFile
+    }))
+
+    let current = path.resolve(dir)
+    while (true) {
+      const found = lockFiles.find(({ file }) => fs.existsSync(path.join(current, file)))
+      if (found) {
+        // Berry项目同时有 .yarnrc.yml
+        const name = found.name === 'yarn' && fs.existsSync(path.join(current, YARNRC_FILE))
+          ? 'berry'
+          : found.name
+        return { ...found, name, dir: current }
+      }
+
+      const parent = path.dirname(current)
+      if (parent === current) return null
+      current = parent
+    }
+  }
+
   /**
    * 获取包管理器配置
+   *
+   * view为函数，返回查询镜像源上包信息（含versions和dist-tags）的参数；
+   * outdated为null的包管理器没有可解析的过期检查命令，由resolveOutdated()自行计算。
+   * 离线检查缓存：offlineResolve在声明了待检查依赖的临时项目中离线解析整个依赖树，
+   * offlineMissing从失败输出中提取缺少的包名；没有offlineResolve的包管理器（Berry、bun）只能在安装时报告缺少的依赖。
+   *
    * @returns {Object} 配置对象
    */
   getManagerConfig() {
@@ -53,60 +189,171 @@ class PackageManager {
       npm: {
         command: 'npm',
         install: ['install'],
+        add: ['install'],
         installDev: ['install', '--save-dev'],
         uninstall: ['uninstall'],
         update: ['update'],
+        outdated: ['outdated', '--json'],
+        view: name => ['view', name, '--json'],
+        list: ['list', '--depth=0', '--json'],
+        cleanCache: ['cache', 'clean', '--force'],
+        validateLock: ['install', '--dry-run'],
+        getRegistry: ['config', 'get', 'registry'],
+        offlineResolve: ['install', '--package-lock-only', '--ignore-scripts'],
+        // 作用域包在URL中编码为 @scope%2fname
+        offlineMissing: /request to \S+\/(\S+?) failed: cache mode/,
+        run: ['run'],
+        exec: 'npx --no --',
         lockFile: 'package-lock.json',
         commandArgs: {
-          install: ['--registry', this.registry],
-          installDev: ['--save-dev', '--registry', this.registry],
+          registry: ['--registry', this.registry],
           global: ['--global'],
           production: ['--production'],
           force: ['--force'],
           optional: ['--optional'],
           noOptional: ['--no-optional'],
-          dryRun: ['--dry-run']
+          dryRun: ['--dry-run'],
+          offline: ['--offline'],
+          preferOffline: ['--prefer-offline']
+        },
+        commandEnv: {
+          offline: { npm_config_update_notifier: 'false', npm_config_audit: 'false', npm_config_fund: 'false' }
         }
       },
       yarn: {
         command: 'yarn',
-        install: [],
+        // yarn 1.x和Berry共用yarn命令，按版本区分
+        versionRange: '<2',
+        install: ['install'],
+        add: ['add'],
         installDev: ['add', '--dev'],
         uninstall: ['remove'],
         update: ['upgrade'],
+        outdated: ['outdated', '--json'],
+        view: name => ['info', name, '--json'],
+        list: ['list', '--depth=0', '--json'],
+        cleanCache: ['cache', 'clean'],
+        validateLock: ['check', '--integrity'],
+        getRegistry: ['config', 'get', 'registry'],
+        // yarn 1.x没有只生成锁文件的模式，从缓存完整安装到临时目录
+        offlineResolve: ['install', '--ignore-scripts', '--no-lockfile'],
+        offlineMissing: /Couldn't find any versions for "([^"]+)"/,
+        run: ['run'],
+        exec: 'yarn',
         lockFile: 'yarn.lock',
         commandArgs: {
-          install: [`--registry=${this.registry}`],
-          installDev: ['--dev', `--registry=${this.registry}`],
+          registry: [`--registry=${this.registry}`],
           global: ['global'],
           production: ['--production'],
           force: ['--force'],
           optional: ['--optional'],
           noOptional: ['--ignore-optional'],
-          dryRun: ['--dry-run']
+          dryRun: ['--dry-run'],
+          offline: ['--offline'],
+          preferOffline: ['--prefer-offline']
+        },
+        commandEnv: {
+          offline: { YARN_DISABLE_SELF_UPDATE_CHECK: 'true' }
         }
       },
       pnpm: {
         command: 'pnpm',
         install: ['install'],
+        add: ['add'],
         installDev: ['add', '--save-dev'],
         uninstall: ['remove'],
         update: ['update'],
+        outdated: ['outdated', '--format', 'json'],
+        view: name => ['view', name, '--json'],
+        list: ['list', '--depth=0', '--json'],
+        cleanCache: ['store', 'prune'],
+        validateLock: ['install', '--frozen-lockfile', '--lockfile-only'],
+        getRegistry: ['config', 'get', 'registry'],
+        offlineResolve: ['install', '--lockfile-only', '--ignore-scripts'],
+        // 版本范围会被规范化，可能含空格（如 >=1.3.0 <2.0.0-0）
+        offlineMissing: /Failed to resolve (@?[^@\s]+)@.* in package mirror/,
+        run: ['run'],
+        exec: 'pnpm exec',
         lockFile: 'pnpm-lock.yaml',
         commandArgs: {
-          install: ['--registry', this.registry],
-          installDev: ['--save-dev', '--registry', this.registry],
+          registry: ['--registry', this.registry],
           global: ['--global'],
           production: ['--production'],
           force: ['--force'],
           optional: ['--optional'],
           noOptional: ['--no-optional'],
-          dryRun: ['--dry-run']
+          dryRun: ['--dry-run'],
+          offline: ['--offline'],
+          preferOffline: ['--prefer-offline']
+        },
+        commandEnv: {
+          offline: { npm_config_update_notifier: 'false' }
+        }
+      },
+      berry: {
+        command: 'yarn',
+        versionRange: '>=2',
+        install: ['install'],
+        add: ['add'],
+        installDev: ['add', '--dev'],
+        uninstall: ['remove'],
+        update: ['up'],
+        outdated: null,
+        view: name => ['npm', 'info', name, '--fields', 'versions,dist-tags', '--json'],
+        list: ['info', '--json'],
+        cleanCache: ['cache', 'clean'],
+        validateLock: ['install', '--immutable', '--mode=update-lockfile'],
+        getRegistry: ['config', 'get', 'npmRegistryServer'],
+        run: ['run'],
+        exec: 'yarn',
+        lockFile: 'yarn.lock',
+        configFile: YARNRC_FILE,
+        commandArgs: {},
+        // Berry没有对应的命令行参数，通过环境变量覆盖 .yarnrc.yml 中的配置
+        commandEnv: {
+          registry: { YARN_NPM_REGISTRY_SERVER: this.registry },
+          offline: { YARN_ENABLE_NETWORK: '0', YARN_ENABLE_TELEMETRY: '0' },
+          preferOffline: { YARN_ENABLE_OFFLINE_MODE: '1' }
         }
+      },
+      bun: {
+        command: 'bun',
+        install: ['install'],
+        add: ['add'],
+        installDev: ['add', '--dev'],
+        uninstall: ['remove'],
+        update: ['update'],
+        outdated: null,
+        // bun没有查询镜像源的命令，借用npm view
+        viewCommand: 'npm',
+        view: name => ['view', name, '--json'],
+        list: null,
+        cleanCache: ['pm', 'cache', 'rm'],
+        validateLock: ['install', '--frozen-lockfile', '--dry-run'],
+        getRegistry: null,
+        run: ['run'],
+        exec: 'bunx',
+        lockFile: 'bun.lockb',
+        commandArgs: {
+          registry: ['--registry', this.registry],
+          global: ['--global'],
+          production: ['--production'],
+          force: ['--force'],
+          noOptional: ['--omit', 'optional'],
+          dryRun: ['--dry-run'],
+          // bun没有严格的离线模式
+          offline: ['--prefer-offline'],
+          preferOffline: ['--prefer-offline']
+        },
+        commandEnv: {}
       }
     }
 
-    return configs[this.packageManager] || configs.npm
+    if (!configs[this.packageManager]) {
+      throw new Error(`不支持的包管理器: ${this.packageManager}，可选值: ${SUPPORTED_MANAGERS.join(', ')}`)
+    }
+
+    return configs[this.packageManager]
   }
 
   /**
@@ -116,26 +363,253 @@ class PackageManager {
    * @returns {Promise<void>}
    */
   async install(packages = [], options = {}) {
+    const task = logger.startTask(`使用 ${this.packageManager} 安装依赖`)
+
     try {
-      logger.startTask('安装依赖')
 
       const { dev = false, global = false, production = false, force = false } = options
 
-      if (packages.length === 0) {
+      if (this.offline) {
+        await this.assertCached(packages.length > 0 ? packages : await this.getDeclaredDependencies())
+      }
+
+      await this.withRetry(() => packages.length === 0
         // 安装所有依赖
-        await this.installAll(options)
-      } else {
+        ? this.installAll(options)
         // 安装指定包
-        await this.installPackages(packages, { dev, global, force })
-      }
+        : this.installPackages(packages, { dev, global, force }), { clean: !global })
 
-      logger.completeTask('安装依赖')
+      logger.completeTask(task)
     } catch (error) {
-      logger.failTask('安装依赖', error)
+      logger.failTask(task, error)
       throw error
     }
   }
 
+  /**
+   * 离线安装前检查依赖是否都在缓存中，缺少时列出所有缺少的包
+   * @param {Array<string>} specs - 包描述，如 vue@^3.4.0
+   * @returns {Promise<void>}
+   */
+  async assertCached(specs) {
+    if (!this.managerConfig.offlineResolve) {
+      logger.warn(`${this.packageManager} 不支持预先检查离线缓存，缺少的依赖将在安装时报错`)
+      return
+    }
+
+    if (specs.length === 0) return
+
+    const missing = (await this.findUncached(specs))
+      .sort((a, b) => specs.indexOf(a.spec) - specs.indexOf(b.spec))
+
+    if (missing.length > 0) {
+      const lines = missing.map(({ spec, name }) => name && name !== this.parseSpec(spec).name
+        ? `  - ${spec}（缺少其依赖 ${name}）`
+        : `  - ${spec}`)
+      throw new Error(`离线缓存中缺少以下依赖，请联网安装一次或改用 --prefer-offline:\n${lines.join('\n')}`)
+    }
+  }
+
+  /**
+   * 找出离线无法解析的依赖
+   *
+   * 所有依赖先在同一个临时项目中解析一次，成功时不再检查。包管理器遇到第一个缺少的包就会退出，
+   * 因此失败时：输出中报告的是直接依赖则排除它后继续解析其余依赖；
+   * 报告的是间接依赖或无法识别输出时，二分查找引入它的直接依赖。
+   *
+   * @param {Array<string>} specs - 包描述
+   * @returns {Promise<Array<{spec: string, name: string|null}>>} 缺少的直接依赖，name为输出中报告的缺少的包
+   */
+  async findUncached(specs) {
+    const missing = []
+    let remaining = specs
+
+    while (remaining.length > 0) {
+      const failure = await this.resolveOffline(remaining)
+      if (!failure) break
+
+      const name = this.parseMissingPackage(failure)
+      const direct = remaining.find(spec => this.parseSpec(spec).name === name)
+
+      if (direct) {
+        missing.push({ spec: direct, name })
+        remaining = remaining.filter(spec => spec !== direct)
+      } else if (remaining.length === 1) {
+        missing.push({ spec: remaining[0], name })
+        break
+      } else {
+        const middle = Math.ceil(remaining.length / 2)
+        missing.push(
+          ...(await this.findUncached(remaining.slice(0, middle))),
+          ...(await this.findUncached(remaining.slice(middle)))
+        )
+        break
+      }
+    }
+
+    return missing
+  }
+
+  /**
+   * 在只声明给定依赖的临时项目中离线解析整个依赖树
+   * @param {Array<string>} specs - 包描述，如 vue@^3.4.0
+   * @returns {Promise<Error|null>} 解析失败时返回错误，成功时返回null
+   */
+  async resolveOffline(specs) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'frontend-offline-'))
+
+    try {
+      const dependencies = {}
+      specs.forEach(spec => {
+        const { name, range } = this.parseSpec(spec)
+        dependencies[name] = range
+      })
+
+      await fs.writeJson(path.join(dir, 'package.json'), {
+        name: 'frontend-offline-check',
+        private: true,
+        dependencies
+      })
+
+      // 项目的 .npmrc 可能指定了镜像源，缓存按镜像源区分
+      const npmrc = path.join(this.context, '.npmrc')
+      if (await fs.pathExists(npmrc)) {
+        await fs.copy(npmrc, path.join(dir, '.npmrc'))
+      }
+
+      await this.runCommand(this.managerConfig.command, [
+        ...this.managerConfig.offlineResolve,
+        ...this.getCommandArgs(this.getNetworkFlags())
+      ], { cwd: dir, capture: true })
+
+      return null
+    } catch (error) {
+      return error
+    } finally {
+      await fs.remove(dir)
+    }
+  }
+
+  /**
+   * 从离线解析失败的输出中提取缺少的包名
+   * @param {Error} error - resolveOffline()返回的错误
+   * @returns {string|null} 包名，无法识别时返回null
+   */
+  parseMissingPackage(error) {
+    const { offlineMissing } = this.managerConfig
+    const match = offlineMissing && offlineMissing.exec(`${error.stdout || ''}\n${error.stderr || ''}`)
+    return match ? decodeURIComponent(match[1]) : null
+  }
+
+  /**
+   * 拆分包描述
+   * @param {string} spec - 包描述，如 vue@^3.4.0、@vue/shared@3.4.0
+   * @returns {{name: string, range: string}} 未指定版本时range为latest
+   */
+  parseSpec(spec) {
+    // 作用域包的名称以@开头，版本分隔符是最后一个@
+    const index = spec.lastIndexOf('@')
+    return index > 0
+      ? { name: spec.slice(0, index), range: spec.slice(index + 1) }
+      : { name: spec, range: 'latest' }
+  }
+
+  /**
+   * 读取package.json中声明的镜像源依赖
+   * @returns {Promise<Array<string>>} 包描述，如 vue@^3.4.0
+   */
+  async getDeclaredDependencies() {
+    const pkgPath = path.join(this.context, 'package.json')
+    if (!(await fs.pathExists(pkgPath))) return []
+
+    const pkg = await fs.readJson(pkgPath)
+    return Object.entries({ ...pkg.dependencies, ...pkg.devDependencies })
+      // 本地路径、Git和URL依赖不经过镜像源
+      .filter(([, range]) => !/^(file|link|workspace|git|git\+\w+|github|https?):|\//.test(range))
+      .map(([name, range]) => `${name}@${range}`)
+  }
+
+  /**
+   * 执行安装，可重试的失败按指数退避重试，不可重试的失败立即放弃
+   * @param {Function} task - 安装任务
+   * @param {Object} options - 选项
+   * @param {boolean} options.clean - 重试前是否清理未完成的安装（node_modules），
+   *   安装前已存在node_modules时（如在已有项目中安装）始终不清理
+   * @returns {Promise<void>}
+   */
+  async withRetry(task, options = {}) {
+    // 只清理本次安装创建的node_modules，已有项目的依赖不能因为一次网络错误被删除
+    const clean = options.clean !== false &&
+      !(await fs.pathExists(path.join(this.context, 'node_modules')))
+    const attempts = []
+
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now()
+
+      try {
+        await task()
+        attempts.push({ attempt, status: 'success', duration: Date.now() - startTime })
+        if (attempts.length > 1) this.printAttempts(attempts)
+        return
+      } catch (error) {
+        const { reason, retryable } = this.classifyFailure(error)
+        attempts.push({ attempt, status: 'failed', reason, duration: Date.now() - startTime })
+
+        if (!retryable || attempt > this.retryTimes) {
+          this.printAttempts(attempts)
+          error.message = retryable
+            ? `${reason}，已重试${this.retryTimes}次: ${error.message}`
+            : `${reason}，重试无法解决: ${error.message}`
+          error.attempts = attempts
+          throw error
+        }
+
+        const delay = this.retryDelay * 2 ** (attempt - 1)
+        logger.warn(`安装失败（${reason}），${delay / 1000}秒后进行第${attempt}次重试...`)
+
+        if (clean) await this.cleanPartialInstall()
+        await new Promise(resolve => setTimeout(resolve, delay))
+      }
+    }
+  }
+
+  /**
+   * 对安装失败进行分类
+   * @param {Error} error - runCommand抛出的错误
+   * @returns {{reason: string, retryable: boolean}} 失败原因及是否可以重试
+   */
+  classifyFailure(error) {
+    const output = [error.stdout, error.stderr, error.message].filter(Boolean).join('\n')
+    const matched = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(output))
+    return matched
+      ? { reason: matched.reason, retryable: matched.retryable }
+      : { reason: '未知错误', retryable: false }
+  }
+
+  /**
+   * 清理失败安装留下的node_modules，避免下一次安装复用不完整的文件
+   * @returns {Promise<void>}
+   */
+  async cleanPartialInstall() {
+    const nodeModules = path.join(this.context, 'node_modules')
+    if (await fs.pathExists(nodeModules)) {
+      logger.debug(`清理未完成的安装: ${nodeModules}`)
+      await fs.remove(nodeModules)
+    }
+  }
+
+  /**
+   * 输出每次安装尝试的结果
+   * @param {Array<Object>} attempts - 尝试记录 {attempt, status, reason, duration}
+   */
+  printAttempts(attempts) {
+    logger.info('安装尝试记录:')
+    attempts.forEach(({ attempt, status, reason, duration }) => {
+      const result = status === 'success' ? '成功' : `失败（${reason}）`
+      logger.info(`  第${attempt}次: ${result}，耗时${(duration / 1000).toFixed(1)}秒`)
+    })
+  }
+
   /**
    * 安装所有依赖
    * @param {Object} options - 选项
@@ -146,12 +620,12 @@ class PackageManager {
     
     const args = [
       ...this.managerConfig.install,
-      ...this.getCommandArgs({ production, force })
+      ...this.getCommandArgs({ production, force, ...this.getNetworkFlags() })
     ]
 
     await this.runCommand(this.managerConfig.command, args, {
       cwd: this.context,
-      stdio: 'inherit'
+      tee: true
     })
   }
 
@@ -165,14 +639,14 @@ class PackageManager {
     const { dev = false, global = false, force = false } = options
     
     const args = [
-      ...(dev ? this.managerConfig.installDev : this.managerConfig.install),
+      ...(dev ? this.managerConfig.installDev : this.managerConfig.add),
       ...packages,
-      ...this.getCommandArgs({ global, force })
+      ...this.getCommandArgs({ global, force, ...this.getNetworkFlags() })
     ]
 
     await this.runCommand(this.managerConfig.command, args, {
       cwd: this.context,
-      stdio: 'inherit'
+      tee: true
     })
   }
 
@@ -183,8 +657,9 @@ class PackageManager {
    * @returns {Promise<void>}
    */
   async uninstall(packages, options = {}) {
+    const task = logger.startTask(`卸载包: ${packages.join(', ')}`)
+
     try {
-      logger.startTask(`卸载包: ${packages.join(', ')}`)
 
       const args = [
         ...this.managerConfig.uninstall,
@@ -196,9 +671,9 @@ class PackageManager {
         stdio: 'inherit'
       })
 
-      logger.completeTask('卸载包')
+      logger.completeTask(task)
     } catch (error) {
-      logger.failTask('卸载包', error)
+      logger.failTask(task, error)
       throw error
     }
   }
@@ -210,9 +685,10 @@ class PackageManager {
    * @returns {Promise<void>}
    */
   async update(packages = [], options = {}) {
+    const packageList = packages.length > 0 ? packages.join(', ') : '所有包'
+    const task = logger.startTask(`升级包: ${packageList}`)
+
     try {
-      const packageList = packages.length > 0 ? packages.join(', ') : '所有包'
-      logger.startTask(`升级包: ${packageList}`)
 
       const args = packages.length > 0 
         ? [...this.managerConfig.update, ...packages]
@@ -223,34 +699,51 @@ class PackageManager {
         stdio: 'inherit'
       })
 
-      logger.completeTask('升级包')
+      logger.completeTask(task)
     } catch (error) {
-      logger.failTask('升级包', error)
+      logger.failTask(task, error)
       throw error
     }
   }
 
+  /**
+   * 运行package.json中的脚本
+   * @param {string} script - 脚本名称
+   * @returns {Promise<void>}
+   */
+  async runScript(script) {
+    await this.runCommand(this.managerConfig.command, [...this.managerConfig.run, script], {
+      cwd: this.context,
+      stdio: 'inherit'
+    })
+  }
+
+  /**
+   * 获取执行本地依赖中命令的命令行，用于写入Git钩子等脚本
+   * @param {string} bin - 命令，如 lint-staged
+   * @returns {string} 如 npx --no -- lint-staged
+   */
+  getExecCommand(bin) {
+    return `${this.managerConfig.exec} ${bin}`
+  }
+
   /**
    * 获取已安装包信息
    * @param {string} packageName - 包名（可选）
    * @returns {Promise<Object>} 包信息
    */
   async getInstalledPackages(packageName = null) {
-    try {
-      let args
-      let output
+    if (!this.managerConfig.list) {
+      logger.debug(`${this.packageManager} 不支持以JSON格式列出已安装的包`)
+      return {}
+    }
 
-      if (packageName) {
-        args = this.packageManager === 'yarn' 
-          ? ['list', packageName, '--depth=0', '--json']
-          : ['list', packageName, '--depth=0', '--json']
-      } else {
-        args = this.packageManager === 'yarn'
-          ? ['list', '--depth=0', '--json']
-          : ['list', '--depth=0', '--json']
-      }
+    try {
+      const args = packageName
+        ? [...this.managerConfig.list, packageName]
+        : this.managerConfig.list
 
-      output = await this.runCommand(this.managerConfig.command, args, {
+      const output = await this.runCommand(this.managerConfig.command, args, {
         cwd: this.context,
         capture: true
       })
@@ -268,41 +761,118 @@ class PackageManager {
    * @returns {Promise<Object>} 更新信息
    */
   async checkForUpdates(packageName) {
+    if (!this.managerConfig.outdated) {
+      return this.resolveOutdated(packageName)
+    }
+
+    let output
+
     try {
-      const args = ['outdated', packageName, '--json']
-      
-      const output = await this.runCommand(this.managerConfig.command, args, {
+      const args = [...this.managerConfig.outdated, packageName]
+
+      output = await this.runCommand(this.managerConfig.command, args, {
         cwd: this.context,
         capture: true
       })
+    } catch (error) {
+      // npm/yarn在存在过期包时以非零状态码退出，此时输出仍然有效
+      if (!error.stdout) return {}
+      output = error.stdout
+    }
 
-      return this.parseOutdatedOutput(output)
+    return this.parseOutdatedOutput(output)
+  }
+
+  /**
+   * 根据镜像源上的版本计算过期信息，用于没有outdated命令的包管理器
+   * @param {string} packageName - 包名
+   * @returns {Promise<Object>} 更新信息 {包名: {current, wanted, latest}}，已是最新时返回空对象
+   */
+  async resolveOutdated(packageName) {
+    const info = await this.getPackageInfo(packageName)
+    if (!info || !info.versions) return {}
+
+    const pkgPath = path.join(this.context, 'package.json')
+    const pkg = (await fs.pathExists(pkgPath)) ? await fs.readJson(pkgPath) : {}
+    const range = { ...pkg.dependencies, ...pkg.devDependencies }[packageName]
+
+    const latest = info['dist-tags'] && info['dist-tags'].latest
+    const wanted = range && semver.validRange(range)
+      ? semver.maxSatisfying([].concat(info.versions), range)
+      : latest
+    const current = await this.getInstalledVersion(packageName)
+
+    if (current === wanted && wanted === latest) return {}
+
+    return { [packageName]: { current, wanted, latest } }
+  }
+
+  /**
+   * 获取已安装的包版本
+   * @param {string} packageName - 包名
+   * @returns {Promise<string|null>} 版本号，未安装时返回null
+   */
+  async getInstalledVersion(packageName) {
+    const pkgPath = path.join(this.context, 'node_modules', packageName, 'package.json')
+    if (await fs.pathExists(pkgPath)) {
+      return (await fs.readJson(pkgPath)).version
+    }
+
+    // Yarn PnP项目没有node_modules，需要向包管理器查询
+    if (!(await fs.pathExists(path.join(this.context, '.pnp.cjs')))) return null
+
+    const installed = await this.getInstalledPackages(packageName)
+    return installed[packageName] ? installed[packageName].version : null
+  }
+
+  /**
+   * 查询包在镜像源上的信息
+   * @param {string} packageName - 包名
+   * @returns {Promise<Object|null>} 包信息（含versions和dist-tags），查询失败时返回null
+   */
+  async getPackageInfo(packageName) {
+    try {
+      const { command, viewCommand, view } = this.managerConfig
+
+      const output = await this.runCommand(viewCommand || command, view(packageName), {
+        cwd: this.context,
+        capture: true
+      })
+
+      return this.parseJsonOutput(output)
     } catch (error) {
-      // outdated命令可能在某些情况下失败，返回空结果
-      return {}
+      logger.debug(`查询 ${packageName} 的信息失败: ${error.message}`)
+      return null
     }
   }
 
+  /**
+   * 获取包在镜像源上的dist-tags
+   * @param {string} packageName - 包名
+   * @returns {Promise<Object>} dist-tags {latest: '1.0.0', next: '2.0.0-beta.1'}，查询失败时返回空对象
+   */
+  async getDistTags(packageName) {
+    const info = await this.getPackageInfo(packageName)
+    return (info && info['dist-tags']) || {}
+  }
+
   /**
    * 清理缓存
    * @returns {Promise<void>}
    */
   async cleanCache() {
-    try {
-      logger.startTask('清理缓存')
+    const task = logger.startTask('清理缓存')
 
-      const args = this.packageManager === 'yarn' 
-        ? ['cache', 'clean']
-        : ['cache', 'clean']
+    try {
 
-      await this.runCommand(this.managerConfig.command, args, {
+      await this.runCommand(this.managerConfig.command, this.managerConfig.cleanCache, {
         cwd: this.context,
         stdio: 'inherit'
       })
 
-      logger.completeTask('清理缓存')
+      logger.completeTask(task)
     } catch (error) {
-      logger.failTask('清理缓存', error)
+      logger.failTask(task, error)
       throw error
     }
   }
@@ -319,8 +889,7 @@ class PackageManager {
     }
 
     try {
-      const args = ['install', '--dry-run']
-      await this.runCommand(this.managerConfig.command, args, {
+      await this.runCommand(this.managerConfig.command, this.managerConfig.validateLock, {
         cwd: this.context,
         capture: true
       })
@@ -335,18 +904,18 @@ class PackageManager {
    * @returns {Promise<void>}
    */
   async generateLockFile() {
+    const task = logger.startTask('生成锁文件')
+
     try {
-      logger.startTask('生成锁文件')
 
-      const args = ['install']
-      await this.runCommand(this.managerConfig.command, args, {
+      await this.runCommand(this.managerConfig.command, this.managerConfig.install, {
         cwd: this.context,
         stdio: 'inherit'
       })
 
-      logger.completeTask('生成锁文件')
+      logger.completeTask(task)
     } catch (error) {
-      logger.failTask('生成锁文件', error)
+      logger.failTask(task, error)
       throw error
     }
   }
@@ -356,7 +925,7 @@ class PackageManager {
    * @param {string} command - 命令名
    * @returns {string|null} 可执行文件路径
    */
-  findExecutable(command) {
+  static findExecutable(command) {
     // 如果是完整路径，直接返回
     if (path.isAbsolute(command)) {
       return command
@@ -419,14 +988,32 @@ class PackageManager {
    * @param {string} command - 命令
    * @param {Array} args - 参数
    * @param {Object} options - 选项
+   * @param {boolean} options.capture - 捕获输出而不显示
+   * @param {boolean} options.tee - 显示输出的同时捕获，用于失败后分析原因
    * @returns {Promise<string>} 命令输出
    */
   async runCommand(command, args, options = {}) {
+    // 子进程直接输出到终端时暂停任务的加载动画
+    if (!options.capture) {
+      return logger.suspend(() => this.spawnCommand(command, args, options))
+    }
+
+    return this.spawnCommand(command, args, options)
+  }
+
+  /**
+   * 启动包管理器子进程，选项同runCommand()
+   * @param {string} command - 命令
+   * @param {Array} args - 参数
+   * @param {Object} options - 选项
+   * @returns {Promise<string>} 命令输出
+   */
+  spawnCommand(command, args, options = {}) {
     return new Promise((resolve, reject) => {
-      const { capture = false } = options
+      const { capture = false, tee = false } = options
       
       // 查找可执行文件路径
-      const executablePath = this.findExecutable(command)
+      const executablePath = PackageManager.findExecutable(command)
       
       if (!executablePath) {
         const errorMsg = `找不到可执行文件: ${command}。请确保${command}已正确安装并在PATH环境变量中。`
@@ -439,12 +1026,16 @@ class PackageManager {
       logger.debug(`运行命令: ${command} ${args.join(' ')}`)
       logger.debug(`工作目录: ${options.cwd || this.context}`)
       
+      // JSON输出时标准输出只输出JSON，子进程的输出改为写入标准错误
+      const stdout = logger.format === 'json' ? process.stderr : process.stdout
+
       // 确保PATH环境变量可用并处理Windows路径
       const spawnOptions = {
-        stdio: capture ? 'pipe' : 'inherit',
+        stdio: capture || tee ? 'pipe' : ['inherit', stdout, 'inherit'],
         env: {
           ...process.env,
-          PATH: process.env.PATH
+          PATH: process.env.PATH,
+          ...this.getCommandEnv()
         },
         shell: os.platform() === 'win32', // 在Windows上使用shell
         ...options
@@ -464,13 +1055,15 @@ class PackageManager {
       let output = ''
       let error = ''
 
-      if (capture) {
+      if (capture || tee) {
         child.stdout.on('data', (data) => {
           output += data.toString()
+          if (tee) stdout.write(data)
         })
 
         child.stderr.on('data', (data) => {
           error += data.toString()
+          if (tee) process.stderr.write(data)
         })
       }
 
@@ -479,7 +1072,12 @@ class PackageManager {
         if (code === 0) {
           resolve(output.trim())
         } else {
-          reject(new Error(`命令执行失败 (${code}): ${error || output}`))
+          // tee时输出已经显示过，不再重复
+          const failure = new Error(tee ? `命令执行失败 (${code})` : `命令执行失败 (${code}): ${error || output}`)
+          failure.exitCode = code
+          failure.stdout = output.trim()
+          failure.stderr = error.trim()
+          reject(failure)
         }
       })
 
@@ -508,26 +1106,121 @@ class PackageManager {
   }
 
   /**
-   * 解析包列表输出
+   * 获取镜像源和离线模式对应的命令参数开关
+   * @returns {Object} 传给getCommandArgs()的选项
+   */
+  getNetworkFlags() {
+    return { registry: this.customRegistry, offline: this.offline, preferOffline: this.preferOffline }
+  }
+
+  /**
+   * 获取命令的环境变量（镜像源、离线模式等没有命令行参数或需要作用于所有命令的配置）
+   * @returns {Object} 环境变量
+   */
+  getCommandEnv() {
+    const flags = this.getNetworkFlags()
+
+    return Object.keys(flags).reduce((env, key) => {
+      return flags[key] ? { ...env, ...this.managerConfig.commandEnv[key] } : env
+    }, {})
+  }
+
+  /**
+   * 解析JSON输出，兼容单个JSON文档和每行一个JSON的输出（yarn）
    * @param {string} output - 命令输出
-   * @returns {Object} 解析结果
+   * @returns {Array<Object>} 解析出的JSON对象，无法解析的行会被忽略
    */
-  parsePackageList(output) {
+  parseJsonLines(output) {
     try {
-      const data = JSON.parse(output)
-      return data.data ? data.data.dependencies || {} : {}
+      return [JSON.parse(output)]
     } catch (error) {
-      logger.warn('解析包列表失败:', error.message)
-      return {}
+      return output.split('\n').reduce((result, line) => {
+        try {
+          result.push(JSON.parse(line))
+        } catch (error) {
+          // 非JSON行（如进度输出）
+        }
+        return result
+      }, [])
+    }
+  }
+
+  /**
+   * 解析查询命令的JSON输出
+   * @param {string} output - 命令输出
+   * @returns {Object|null} 解析结果
+   */
+  parseJsonOutput(output) {
+    const lines = this.parseJsonLines(output)
+    // yarn 1.x的结果包裹在 {type: 'inspect', data} 中
+    const inspect = lines.find(line => line && line.type === 'inspect')
+    return inspect ? inspect.data : lines[0] || null
+  }
+
+  /**
+   * 解析包列表输出
+   * @param {string} output - 命令输出
+   * @returns {Object} 解析结果 {包名: {version}}
+   */
+  parsePackageList(output) {
+    const lines = this.parseJsonLines(output)
+    const result = {}
+    const addPackage = (spec, version) => {
+      // spec形如 react@18.2.0 或 react@npm:18.2.0
+      const index = spec.lastIndexOf('@')
+      if (index > 0) result[spec.slice(0, index)] = { version: version || spec.slice(index + 1) }
+    }
+
+    if (this.packageManager === 'berry') {
+      // 每行一个包: {value: 'react@npm:18.2.0', children: {Version: '18.2.0'}}
+      lines.forEach(line => line.value && addPackage(line.value, line.children && line.children.Version))
+      return result
+    }
+
+    if (this.packageManager === 'yarn') {
+      const tree = lines.find(line => line && line.type === 'tree')
+      if (tree) tree.data.trees.forEach(({ name }) => addPackage(name))
+      return result
     }
+
+    // pnpm输出每个项目一项的数组
+    const projects = Array.isArray(lines[0]) ? lines[0] : lines
+    projects.forEach(project => {
+      Object.entries({ ...project.dependencies, ...project.devDependencies })
+        .forEach(([name, { version }]) => { result[name] = { version } })
+    })
+    return result
   }
 
   /**
    * 解析过期包输出
    * @param {string} output - 命令输出
-   * @returns {Object} 解析结果
+   * @returns {Object} 解析结果 {包名: {current, wanted, latest}}
    */
   parseOutdatedOutput(output) {
+    // yarn输出多行JSON，过期信息位于type为table的一行
+    if (this.packageManager === 'yarn') {
+      const table = output.split('\n')
+        .map(line => {
+          try {
+            return JSON.parse(line)
+          } catch (error) {
+            return null
+          }
+        })
+        .find(line => line && line.type === 'table')
+
+      if (!table) return {}
+
+      const columns = table.data.head.map(name => name.toLowerCase())
+      return table.data.body.reduce((result, row) => {
+        const record = {}
+        columns.forEach((name, index) => { record[name] = row[index] })
+        result[record.package] = { current: record.current, wanted: record.wanted, latest: record.latest }
+        return result
+      }, {})
+    }
+
     try {
       return JSON.parse(output)
     } catch (error) {
@@ -537,29 +1230,61 @@ class PackageManager {
 
   /**
    * 获取包管理器信息
-   * @returns {Object} 包管理器信息
+   * @returns {Promise<Object>} 包管理器信息 {name, available, version, lockFile, registry}
    */
-  getManagerInfo() {
+  async getManagerInfo() {
+    const { command, versionRange } = this.managerConfig
+    const installed = Boolean(PackageManager.findExecutable(command))
+    const version = installed ? await this.getManagerVersion() : null
+    const available = installed &&
+      (!versionRange || (Boolean(semver.valid(version)) && semver.satisfies(version, versionRange)))
+
     return {
       name: this.packageManager,
-      version: this.getManagerVersion(),
+      available,
+      version: available ? version : null,
       lockFile: this.managerConfig.lockFile,
-      registry: this.registry
+      registry: (available && await this.getConfiguredRegistry()) || this.registry
     }
   }
 
   /**
    * 获取包管理器版本
-   * @returns {string} 版本号
+   * @returns {Promise<string>} 版本号
    */
   async getManagerVersion() {
     try {
-      const output = await this.runCommand(this.managerConfig.command, ['--version'])
+      const output = await this.runCommand(this.managerConfig.command, ['--version'], {
+        cwd: this.context,
+        capture: true
+      })
       return output.trim()
     } catch (error) {
       return 'unknown'
     }
   }
+
+  /**
+   * 获取包管理器配置的镜像源
+   * @returns {Promise<string|null>} 镜像源地址，查询失败时返回null
+   */
+  async getConfiguredRegistry() {
+    if (!this.managerConfig.getRegistry) return null
+
+    try {
+      const output = await this.runCommand(this.managerConfig.command, this.managerConfig.getRegistry, {
+        cwd: this.context,
+        capture: true
+      })
+      return output && output !== 'undefined' ? output : null
+    } catch (error) {
+      logger.debug(`查询 ${this.packageManager} 镜像源失败: ${error.message}`)
+      return null
+    }
+  }
 }
 
+PackageManager.SUPPORTED_MANAGERS = SUPPORTED_MANAGERS
+PackageManager.YARNRC_FILE = YARNRC_FILE
+
 module.exports = PackageManager
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * PackageManager 安装重试测试
+ *
+ * 使用PATH中的假npm代替真实的包管理器：前 FAKE_PM_FAILURES 次运行输出 FAKE_PM_ERROR 并以1退出，
+ * 之后成功。每次运行都在node_modules中留下一个目录，模拟未完成的安装。
+ * 安装命令的输出会转发到终端，测试中截获后断言，不写到真实的stdout/stderr。
+ */
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+
+const logger = require('../logger')
+const PackageManager = require('../PackageManager')
+
+const FAKE_NPM = `#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+
+const counter = process.env.FAKE_PM_COUNTER
+const runs = Number(fs.existsSync(counter) ? fs.readFileSync(counter, 'utf8') : 0) + 1
+fs.writeFileSync(counter, String(runs))
+fs.mkdirSync(path.join(process.cwd(), 'node_modules', 'partial-' + runs), { recursive: true })
+
+if (runs <= Number(process.env.FAKE_PM_FAILURES)) {
+  process.stderr.write(process.env.FAKE_PM_ERROR + '\\n')
+  process.exit(1)
+}
+`
+
+describe('PackageManager 安装重试', () => {
+  const originalPath = process.env.PATH
+  let tmpDir
+  let context
+  let counter
+  let output
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'frontend-pm-'))
+    const binDir = path.join(tmpDir, 'bin')
+    await fs.outputFile(path.join(binDir, 'npm'), FAKE_NPM, { mode: 0o755 })
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`
+    logger.setSilent(true)
+  })
+
+  afterAll(async () => {
+    process.env.PATH = originalPath
+    logger.setSilent(false)
+    await fs.remove(tmpDir)
+  })
+
+  beforeEach(async () => {
+    context = path.join(tmpDir, 'project')
+    counter = path.join(tmpDir, 'runs')
+    await fs.remove(context)
+    await fs.remove(counter)
+    await fs.outputJson(path.join(context, 'package.json'), { name: 'project', version: '0.1.0' })
+    process.env.FAKE_PM_COUNTER = counter
+
+    output = ''
+    const capture = chunk => {
+      output += chunk
+      return true
+    }
+    jest.spyOn(process.stdout, 'write').mockImplementation(capture)
+    jest.spyOn(process.stderr, 'write').mockImplementation(capture)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  /**
+   * 设置假npm的行为
+   * @param {number} failures - 失败的次数
+   * @param {string} error - 失败时的输出
+   */
+  function fakeFailures(failures, error) {
+    process.env.FAKE_PM_FAILURES = String(failures)
+    process.env.FAKE_PM_ERROR = error
+  }
+
+  /**
+   * 读取假npm的运行次数
+   * @returns {Promise<number>}
+   */
+  async function runs() {
+    return Number(await fs.readFile(counter, 'utf8'))
+  }
+
+  test('可重试的失败按指数退避重试后成功', async () => {
+    fakeFailures(2, 'npm ERR! code ECONNRESET')
+    const warn = jest.spyOn(logger, 'warn')
+    const packageManager = new PackageManager({ context, retryTimes: 3, retryDelay: 20 })
+
+    await packageManager.install()
+
+    expect(await runs()).toBe(3)
+    const retries = warn.mock.calls.map(([message]) => message)
+    expect(retries).toEqual([
+      expect.stringContaining('0.02秒后进行第1次重试'),
+      expect.stringContaining('0.04秒后进行第2次重试')
+    ])
+    expect(retries[0]).toContain('网络连接中断')
+    expect(output.match(/npm ERR! code ECONNRESET/g)).toHaveLength(2)
+  })
+
+  test('不可重试的失败立即放弃', async () => {
+    fakeFailures(5, 'npm ERR! code E404\nnpm ERR! 404 Not Found - GET https://registry.npmjs.org/missing')
+    const packageManager = new PackageManager({ context, retryTimes: 3, retryDelay: 20 })
+
+    const error = await packageManager.install().catch(error => error)
+
+    expect(error.message).toContain('包不存在，重试无法解决')
+    expect(error.attempts).toHaveLength(1)
+    expect(await runs()).toBe(1)
+    expect(output).toContain('npm ERR! 404 Not Found')
+  })
+
+  test('重试retryTimes次后放弃', async () => {
+    fakeFailures(10, 'npm ERR! code ETIMEDOUT')
+    const packageManager = new PackageManager({ context, retryTimes: 2, retryDelay: 1 })
+
+    const error = await packageManager.install().catch(error => error)
+
+    expect(error.message).toContain('网络超时，已重试2次')
+    expect(error.attempts.map(attempt => attempt.status)).toEqual(['failed', 'failed', 'failed'])
+    expect(await runs()).toBe(3)
+  })
+
+  test('重试前清理本次安装创建的node_modules', async () => {
+    fakeFailures(1, 'npm ERR! code ECONNRESET')
+    const packageManager = new PackageManager({ context, retryTimes: 1, retryDelay: 1 })
+
+    await packageManager.install()
+
+    expect(await fs.readdir(path.join(context, 'node_modules'))).toEqual(['partial-2'])
+  })
+
+  test('不删除安装前已存在的node_modules', async () => {
+    await fs.ensureDir(path.join(context, 'node_modules', 'existing'))
+    fakeFailures(10, 'npm ERR! code ECONNRESET')
+    const packageManager = new PackageManager({ context, retryTimes: 1, retryDelay: 1 })
+
+    await expect(packageManager.install()).rejects.toThrow('已重试1次')
+
+    expect(await fs.pathExists(path.join(context, 'node_modules', 'existing'))).toBe(true)
+  })
+})
+
+describe('PackageManager.classifyFailure', () => {
+  const packageManager = new PackageManager()
+
+  test('同时出现时不可重试的错误优先', () => {
+    const error = Object.assign(new Error('命令执行失败 (1)'), {
+      stderr: 'npm ERR! code ECONNRESET\nnpm ERR! code ETARGET\nnpm ERR! notarget No matching version found for vue@^99.0.0'
+    })
+
+    expect(packageManager.classifyFailure(error)).toEqual({ reason: '版本无法解析', retryable: false })
+  })
+
+  test('镜像源5xx错误可以重试', () => {
+    const error = Object.assign(new Error('命令执行失败 (1)'), { stderr: 'npm ERR! 503 Service Unavailable' })
+
+    expect(packageManager.classifyFailure(error)).toEqual({ reason: '镜像源服务端错误(5xx)', retryable: true })
+  })
+
+  test('无法识别的错误不重试', () => {
+    expect(packageManager.classifyFailure(new Error('something else'))).toEqual({ reason: '未知错误', retryable: false })
+  })
+})
+
+describe('PackageManager.assertCached', () => {
+  // 缓存中没有的包：直接依赖left-pad、is-odd的间接依赖is-number
+  const uncached = { 'left-pad': 'left-pad', 'is-odd': 'is-number' }
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  /**
+   * 模拟npm离线解析：遇到第一个缺少的包就失败
+   * @param {PackageManager} packageManager - 包管理器
+   * @returns {jest.SpyInstance}
+   */
+  function fakeResolve(packageManager) {
+    return jest.spyOn(packageManager, 'resolveOffline').mockImplementation(async specs => {
+      const spec = specs.find(spec => uncached[packageManager.parseSpec(spec).name])
+      if (!spec) return null
+      const name = uncached[packageManager.parseSpec(spec).name]
+      return Object.assign(new Error('命令执行失败 (1)'), {
+        stderr: `npm error request to https://registry.npmjs.org/${name} failed: cache mode is 'only-if-cached'`
+      })
+    })
+  }
+
+  test('依赖都已缓存时只解析一次', async () => {
+    const packageManager = new PackageManager({ offline: true })
+    const resolve = fakeResolve(packageManager)
+
+    await packageManager.assertCached(['vue@^3.4.0', '@vue/shared@3.4.0', 'pinia@^2.1.0'])
+
+    expect(resolve).toHaveBeenCalledTimes(1)
+  })
+
+  test('按声明顺序列出缺少的直接依赖和缺少间接依赖的包', async () => {
+    const packageManager = new PackageManager({ offline: true })
+    fakeResolve(packageManager)
+
+    const error = await packageManager
+      .assertCached(['vue@^3.4.0', 'is-odd@^3.0.1', 'pinia@^2.1.0', 'left-pad@^1.3.0'])
+      .catch(error => error)
+
+    expect(error.message).toContain('  - is-odd@^3.0.1（缺少其依赖 is-number）\n  - left-pad@^1.3.0')
+    expect(error.message).not.toContain('vue@')
+  })
+
+  test('不支持预先检查的包管理器只给出警告', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {})
+    const packageManager = new PackageManager({ packageManager: 'bun', offline: true })
+
+    await packageManager.assertCached(['vue@^3.4.0'])
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('bun 不支持预先检查离线缓存'))
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * 用户配置模块
+ *
+ * 读写用户级配置文件 ~/.frontendrc（JSON格式）：
+ *   {
+ *     "packageManager": "pnpm",
+ *     "presets": {
+ *       "my-preset": { ... }
+ *     }
+ *   }
+ *
+ * 可通过环境变量 FRONTEND_CLI_RC 指定其他配置文件路径（便于CI和测试）。
+ * 缓存目录默认位于系统用户缓存目录下的 frontend-cli，可通过 FRONTEND_CLI_CACHE 覆盖。
+ * 项目级配置 .frontendrc.json 由Creator写入项目目录，与本文件无关。
+ */
+
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+
+const logger = require('./logger')
+
+class Config {
+  /**
+   * 获取用户配置文件路径
+   * @returns {string} 配置文件路径
+   */
+  static getRcPath() {
+    return process.env.FRONTEND_CLI_RC || path.join(os.homedir(), '.frontendrc')
+  }
+
+  /**
+   * 获取用户缓存目录
+   * @param {...string} paths - 缓存目录下的子路径
+   * @returns {string} 缓存路径
+   */
+  static getCacheDir(...paths) {
+    let base = process.env.FRONTEND_CLI_CACHE
+
+    if (!base) {
+      if (process.platform === 'win32') {
+        base = path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'frontend-cli', 'Cache')
+      } else if (process.platform === 'darwin') {
+        base = path.join(os.homedir(), 'Library', 'Caches', 'frontend-cli')
+      } else {
+        base = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'frontend-cli')
+      }
+    }
+
+    return path.join(base, ...paths)
+  }
+
+  /**
+   * 读取用户配置
+   * @returns {Object} 配置对象，文件不存在或损坏时返回空配置
+   */
+  static loadOptions() {
+    const rcPath = this.getRcPath()
+
+    if (!fs.existsSync(rcPath)) {
+      return { presets: {} }
+    }
+
+    try {
+      const options = fs.readJsonSync(rcPath)
+      options.presets = options.presets || {}
+      return options
+    } catch (error) {
+      logger.warn(`用户配置文件 ${rcPath} 格式错误，已忽略:`, error.message)
+      return { presets: {} }
+    }
+  }
+
+  /**
+   * 保存用户配置（与已有配置浅合并）
+   * @param {Object} toSave - 要保存的字段
+   * @returns {Promise<void>}
+   */
+  static async saveOptions(toSave) {
+    const options = { ...this.loadOptions(), ...toSave }
+    await fs.outputJson(this.getRcPath(), options, { spaces: 2 })
+  }
+
+  /**
+   * 获取所有已保存的预设
+   * @returns {Object} 预设对象 {名称: 预设}
+   */
+  static getPresets() {
+    return this.loadOptions().presets
+  }
+
+  /**
+   * 保存预设
+   * @param {string} name - 预设名称
+   * @param {Object} preset - 预设配置
+   * @returns {Promise<void>}
+   */
+  static async savePreset(name, preset) {
+    const presets = { ...this.getPresets(), [name]: preset }
+    await this.saveOptions({ presets })
+  }
+
+  /**
+   * 删除预设
+   * @param {string} name - 预设名称
+   * @returns {Promise<boolean>} 是否删除成功（预设不存在时返回false）
+   */
+  static async deletePreset(name) {
+    const presets = { ...this.getPresets() }
+    if (!presets[name]) return false
+
+    delete presets[name]
+    await this.saveOptions({ presets })
+    return true
+  }
+}
+
+module.exports = Config
@@ -0,0 +1,87 @@
+/**
+ * 文件树格式化工具
+ *
+ * 将 {相对路径: 内容} 形式的文件映射格式化为树形文本：
+ *   my-app/
+ *   ├── package.json (412 B)
+ *   └── src/
+ *       └── main.js (96 B)
+ */
+
+const chalk = require('chalk')
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string} 可读的大小
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+/**
+ * 获取文件内容字节数
+ * @param {string|Buffer} content - 文件内容
+ * @returns {number} 字节数
+ */
+function getByteLength(content) {
+  return Buffer.isBuffer(content) ? content.length : Buffer.byteLength(String(content))
+}
+
+/**
+ * 格式化文件树
+ * @param {string} rootName - 根目录名称
+ * @param {Object} files - 文件映射 {相对路径: 内容}
+ * @returns {string} 树形文本
+ */
+function formatFileTree(rootName, files) {
+  // 构建嵌套结构，目录节点为对象，文件节点记录大小
+  const root = {}
+  Object.keys(files).forEach(file => {
+    const segments = file.split('/')
+    let node = root
+    segments.forEach((segment, index) => {
+      if (index === segments.length - 1) {
+        node[segment] = { __size: getByteLength(files[file]) }
+      } else {
+        node[segment] = node[segment] || {}
+        node = node[segment]
+      }
+    })
+  })
+
+  const lines = [chalk.bold(`${rootName}/`)]
+
+  const walk = (node, prefix) => {
+    const names = Object.keys(node).sort((a, b) => {
+      const aIsDir = node[a].__size === undefined
+      const bIsDir = node[b].__size === undefined
+      if (aIsDir !== bIsDir) return aIsDir ? -1 : 1
+      return a.localeCompare(b)
+    })
+
+    names.forEach((name, index) => {
+      const isLast = index === names.length - 1
+      const child = node[name]
+      const connector = isLast ? '└── ' : '├── '
+
+      if (child.__size === undefined) {
+        lines.push(`${prefix}${connector}${chalk.cyan(`${name}/`)}`)
+        walk(child, prefix + (isLast ? '    ' : '│   '))
+      } else {
+        lines.push(`${prefix}${connector}${name} ${chalk.gray(`(${formatSize(child.__size)})`)}`)
+      }
+    })
+  }
+
+  walk(root, '')
+  return lines.join('\n')
+}
+
+module.exports = {
+  formatSize,
+  getByteLength,
+  formatFileTree
+}
@@ -0,0 +1,161 @@
+/**
+ * Git工具模块
+ *
+ * 通过子进程调用系统中的git可执行文件：
+ * 1. 执行任意git命令并获取输出
+ * 2. 克隆仓库（支持分支、标签和提交）
+ * 3. 查询工作区状态和配置
+ *
+ * 使用示例：
+ *   await git.run(['status', '--porcelain'], { cwd })
+ *   await git.getChangedFiles(cwd)
+ *   await git.clone('file:///srv/presets.git', dest, { ref: 'v1.0.0' })
+ */
+
+const { spawn } = require('child_process')
+const fs = require('fs-extra')
+
+const logger = require('./logger')
+
+class Git {
+  /**
+   * 执行git命令
+   * @param {Array<string>} args - 参数
+   * @param {Object} options - 选项
+   * @param {string} options.cwd - 工作目录
+   * @returns {Promise<string>} 标准输出
+   */
+  static run(args, options = {}) {
+    const { cwd = process.cwd() } = options
+
+    return new Promise((resolve, reject) => {
+      logger.debug(`运行命令: git ${args.join(' ')}`)
+
+      const child = spawn('git', args, {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+      })
+
+      let stdout = ''
+      let stderr = ''
+      child.stdout.on('data', data => { stdout += data.toString() })
+      child.stderr.on('data', data => { stderr += data.toString() })
+
+      child.on('error', error => {
+        reject(new Error(error.code === 'ENOENT'
+          ? '找不到git可执行文件，请确认已安装git并在PATH环境变量中'
+          : `git启动失败: ${error.message}`))
+      })
+
+      child.on('close', code => {
+        if (code === 0) {
+          resolve(stdout.trim())
+        } else {
+          const error = new Error(`git ${args[0]} 失败 (${code}): ${(stderr || stdout).trim()}`)
+          error.exitCode = code
+          error.stderr = stderr
+          reject(error)
+        }
+      })
+    })
+  }
+
+  /**
+   * 获取git版本
+   * @returns {Promise<string|null>} 版本号，未安装git时返回null
+   */
+  static async getVersion() {
+    try {
+      const output = await this.run(['--version'])
+      const match = output.match(/(\d+\.\d+\.\d+)/)
+      return match ? match[1] : output
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * 判断目录是否位于git工作区内，未安装git时视为不在工作区内
+   * @param {string} cwd - 目录
+   * @returns {Promise<boolean>}
+   */
+  static async isInsideWorkTree(cwd) {
+    try {
+      return (await this.run(['rev-parse', '--is-inside-work-tree'], { cwd })) === 'true'
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * 读取git配置
+   * @param {string} key - 配置项，如 user.name
+   * @param {string} cwd - 目录
+   * @returns {Promise<string|null>} 配置值，未配置时返回null
+   */
+  static async getConfig(key, cwd) {
+    try {
+      return (await this.run(['config', '--get', key], { cwd })) || null
+    } catch (error) {
+      // 未配置时git config以状态码1退出
+      if (error.exitCode === 1) return null
+      throw error
+    }
+  }
+
+  /**
+   * 检查分支名是否合法
+   * @param {string} name - 分支名
+   * @returns {Promise<boolean>}
+   */
+  static async isValidBranchName(name) {
+    try {
+      await this.run(['check-ref-format', '--branch', name])
+      return true
+    } catch (error) {
+      if (error.exitCode === undefined) throw error
+      return false
+    }
+  }
+
+  /**
+   * 获取工作区中未提交的修改（含未跟踪文件）
+   * @param {string} cwd - 目录
+   * @returns {Promise<Array<string>>} git status --porcelain 的输出行
+   */
+  static async getChangedFiles(cwd) {
+    const output = await this.run(['status', '--porcelain'], { cwd })
+    return output ? output.split('\n') : []
+  }
+
+  /**
+   * 克隆仓库
+   * @param {string} url - 仓库地址（支持 https、ssh、file:// 及本地路径）
+   * @param {string} dest - 目标目录
+   * @param {Object} options - 选项
+   * @param {string} options.ref - 分支、标签或提交
+   * @returns {Promise<void>}
+   */
+  static async clone(url, dest, options = {}) {
+    const { ref } = options
+
+    // 分支和标签可以浅克隆
+    try {
+      const args = ['clone', '--depth', '1']
+      if (ref) args.push('--branch', ref)
+      await this.run([...args, url, dest])
+      return
+    } catch (error) {
+      if (!ref) throw error
+      logger.debug(`浅克隆 ${ref} 失败，尝试完整克隆后检出: ${error.message}`)
+    }
+
+    // 提交哈希需要完整克隆后检出
+    await fs.remove(dest)
+    await this.run(['clone', url, dest])
+    await this.run(['checkout', ref], { cwd: dest })
+  }
+}
+
+module.exports = Git
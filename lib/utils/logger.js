@@ -8,14 +8,32 @@
  * 4. 颜色化输出支持
  * 5. 文件日志记录（可选）
  * 
+ * 输出格式（format）：
+ * - simple：带图标的可读文本（默认）
+ * - json：每行一个JSON对象 {level, timestamp, message, args}
+ *
+ * 文件日志始终使用json格式并记录所有级别（包括debug），不受控制台级别和静默模式影响，
+ * 文件超过maxFileSize时轮转为 <file>.1 … <file>.<maxFiles>。
+ *
+ * 任务（startTask/completeTask/failTask）可以嵌套，交互式终端中以加载动画显示运行中的任务，
+ * 结束后显示耗时；非交互式环境（非TTY、CI）中输出普通的日志行。
+ *
  * 使用示例：
  *   logger.info('开始创建项目')
  *   logger.success('项目创建成功')
  *   logger.error('创建失败:', error)
  *   logger.debug('调试信息', { data })
+ *   logger.setFile(true)    // 写入用户缓存目录下的 logs/frontend.log
+ *   await logger.task('安装依赖', () => packageManager.install())
  */
 
+const fs = require('fs')
+const path = require('path')
 const chalk = require('chalk')
+const ora = require('ora')
+
+// ANSI颜色码，写入JSON日志前去除
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g
 
 class Logger {
   constructor(options = {}) {
@@ -23,6 +41,21 @@ class Logger {
     this.silent = options.silent || false
     this.timestamp = options.timestamp || false
     this.format = options.format || 'simple'
+
+    // 运行中的任务，最后一个为当前任务
+    this.tasks = []
+    this.spinner = null
+    this.suspended = 0
+
+    // 文件日志
+    this.file = null
+    this.fileSize = 0
+    this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024
+    this.maxFiles = options.maxFiles || 3
+
+    if (options.file) {
+      this.setFile(options.file)
+    }
   }
 
   /**
@@ -37,14 +70,66 @@ class Logger {
     const prefix = this.getLevelPrefix(level)
     
     if (args.length > 0) {
-      return `${timestamp}${prefix} ${message} ${args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
-      ).join(' ')}`
+      return `${timestamp}${prefix} ${message} ${args.map(arg => {
+        if (arg instanceof Error) return arg.message
+        return arg !== null && typeof arg === 'object' ? JSON.stringify(arg, null, 2) : arg
+      }).join(' ')}`
     }
     
     return `${timestamp}${prefix} ${message}`
   }
 
+  /**
+   * 创建结构化日志记录
+   * @param {string} level - 日志级别
+   * @param {string} message - 消息
+   * @param {Array} args - 其他参数
+   * @returns {Object} 日志记录 {level, timestamp, message, args}
+   */
+  createRecord(level, message, args) {
+    const record = {
+      level,
+      timestamp: new Date().toISOString(),
+      message: String(message).replace(ANSI_PATTERN, '')
+    }
+
+    if (args.length > 0) {
+      record.args = args.map(arg => this.serializeArg(arg))
+    }
+
+    return record
+  }
+
+  /**
+   * 转换参数为可以JSON序列化的值
+   * @param {*} arg - 参数
+   * @returns {*} 可序列化的值
+   */
+  serializeArg(arg) {
+    if (arg instanceof Error) {
+      return { name: arg.name, message: arg.message, code: arg.code, stack: arg.stack }
+    }
+
+    if (typeof arg === 'string') {
+      return arg.replace(ANSI_PATTERN, '')
+    }
+
+    if (arg === null || typeof arg !== 'object') {
+      return arg
+    }
+
+    // 去除循环引用和函数
+    const seen = new WeakSet()
+    return JSON.parse(JSON.stringify(arg, (key, value) => {
+      if (value instanceof Error) return this.serializeArg(value)
+      if (value !== null && typeof value === 'object') {
+        if (seen.has(value)) return '[Circular]'
+        seen.add(value)
+      }
+      return value
+    }))
+  }
+
   /**
    * 获取级别前缀
    * @param {string} level - 日志级别
@@ -70,9 +155,10 @@ class Logger {
   shouldLog(level) {
     if (this.silent) return false
     
-    const levels = { debug: 0, info: 1, warn: 2, error: 3 }
-    const currentLevel = levels[this.level] || 1
-    const logLevel = levels[level] || 1
+    // success与info同级；debug为0，不能用 || 设置默认值
+    const levels = { debug: 0, info: 1, success: 1, warn: 2, error: 3 }
+    const currentLevel = levels[this.level] ?? levels.info
+    const logLevel = levels[level] ?? levels.info
     
     return logLevel >= currentLevel
   }
@@ -84,10 +170,25 @@ class Logger {
    * @param {*} args - 其他参数
    */
   log(level, message, ...args) {
+    const record = this.file || this.format === 'json' ? this.createRecord(level, message, args) : null
+
+    if (this.file) {
+      this.writeToFile(record)
+    }
+
     if (!this.shouldLog(level)) return
-    
+
+    if (this.format === 'json') {
+      console.log(JSON.stringify(record))
+      return
+    }
+
     const formattedMessage = this.formatMessage(level, message, ...args)
+
+    // 日志输出在加载动画上方，避免和动画行混在一起
+    if (this.spinner) this.spinner.clear()
     console.log(formattedMessage)
+    if (this.spinner) this.spinner.render()
   }
 
   /**
@@ -145,28 +246,262 @@ class Logger {
   }
 
   /**
-   * 开始任务日志
-   * @param {string} taskName - 任务名称
+   * 开始任务，已有任务运行时作为其子任务
+   *
+   * 交互式终端中显示加载动画，完成后替换为带耗时的结果行；
+   * 标准输出不是TTY、设置了CI环境变量或使用json格式时输出普通的日志行。
+   *
+   * @param {string} title - 任务名称
+   * @returns {Object} 任务 {title, depth, children, startTime, endTime, status}
    */
-  startTask(taskName) {
-    this.info(`🚀 开始: ${taskName}`)
+  startTask(title) {
+    const parent = this.tasks[this.tasks.length - 1]
+    const task = {
+      title,
+      depth: parent ? parent.depth + 1 : 0,
+      children: [],
+      startTime: Date.now(),
+      endTime: null,
+      status: 'running'
+    }
+
+    if (parent) parent.children.push(task)
+    this.tasks.push(task)
+
+    if (!this.isInteractive()) {
+      this.info(`${indent(task)}🚀 开始: ${title}`)
+      return task
+    }
+
+    this.writeTaskRecord('info', `开始: ${title}`)
+    // 子任务开始后父任务的加载动画不再是最后一行，改为固定显示标题
+    if (parent) this.announceTask(parent)
+    this.startSpinner(task)
+
+    return task
   }
 
   /**
    * 完成任务日志
-   * @param {string} taskName - 任务名称
+   * @param {Object|string} task - startTask()返回的任务或任务名称
    */
-  completeTask(taskName) {
-    this.success(`✅ 完成: ${taskName}`)
+  completeTask(task) {
+    task = this.finishTask(task, 'done')
+    if (!task) return
+
+    const elapsed = formatDuration(task.endTime - task.startTime)
+
+    if (!this.isInteractive()) {
+      this.success(`${indent(task)}✅ 完成: ${task.title} (${elapsed})`)
+      return
+    }
+
+    this.writeTaskRecord('success', `完成: ${task.title} (${elapsed})`)
+    this.persistTask(task, chalk.green('✔'), `${task.title} ${chalk.gray(elapsed)}`)
   }
 
   /**
    * 失败任务日志
-   * @param {string} taskName - 任务名称
+   * @param {Object|string} task - startTask()返回的任务或任务名称
    * @param {Error} error - 错误对象
    */
-  failTask(taskName, error) {
-    this.error(`❌ 失败: ${taskName}`, error.message)
+  failTask(task, error) {
+    task = this.finishTask(task, 'failed')
+    if (!task) return
+
+    const elapsed = formatDuration(task.endTime - task.startTime)
+    // 错误原因只在最先失败的子任务上显示
+    const reason = task.children.some(child => child.status === 'failed') ? '' : error.message
+
+    if (!this.isInteractive()) {
+      this.error(`${indent(task)}❌ 失败: ${task.title} (${elapsed})`, ...(reason ? [reason] : []))
+      return
+    }
+
+    this.writeTaskRecord('error', `失败: ${task.title} (${elapsed})`, reason ? [reason] : [])
+    this.persistTask(task, chalk.red('✖'), `${task.title} ${chalk.gray(elapsed)}${reason ? ` ${chalk.red(reason)}` : ''}`)
+  }
+
+  /**
+   * 以任务的形式执行函数，根据结果完成或失败任务
+   * @param {string} title - 任务名称
+   * @param {Function} fn - 任务函数，可以返回Promise
+   * @returns {Promise<Object>} 任务
+   */
+  async task(title, fn) {
+    const task = this.startTask(title)
+
+    try {
+      await fn()
+    } catch (error) {
+      this.failTask(task, error)
+      throw error
+    }
+
+    this.completeTask(task)
+    return task
+  }
+
+  /**
+   * 暂停加载动画执行函数，用于交互式提示和直接输出到终端的子进程
+   * @param {Function} fn - 函数，可以返回Promise
+   * @returns {Promise<*>} 函数的返回值
+   */
+  async suspend(fn) {
+    if (!this.spinner) return fn()
+
+    this.announceTask(this.spinner.task)
+    this.suspended++
+
+    try {
+      return await fn()
+    } finally {
+      this.suspended--
+      const task = this.tasks[this.tasks.length - 1]
+      if (task && this.isInteractive()) this.startSpinner(task)
+    }
+  }
+
+  /**
+   * 输出任务耗时汇总
+   * @param {Array<Object>} tasks - 顶层任务
+   */
+  printTaskSummary(tasks) {
+    if (tasks.length === 0 || !this.shouldLog('info')) return
+
+    const total = tasks.reduce((sum, task) => sum + (task.endTime - task.startTime), 0)
+
+    if (this.format === 'json') {
+      this.info(`耗时 ${formatDuration(total)}`, tasks.map(task => this.summarizeTask(task)))
+      return
+    }
+
+    this.newline()
+    console.log(chalk.bold('  ⏱️  耗时统计'))
+
+    const printTask = (task) => {
+      const symbol = task.status === 'failed' ? chalk.red('✖') : chalk.green('✔')
+      console.log(`  ${indent(task)}${symbol} ${task.title} ${chalk.gray(formatDuration(task.endTime - task.startTime))}`)
+      task.children.forEach(printTask)
+    }
+    tasks.forEach(printTask)
+
+    console.log(`  ${chalk.bold(`总计 ${formatDuration(total)}`)}`)
+  }
+
+  /**
+   * 转换任务为耗时记录，用于json格式输出
+   * @param {Object} task - 任务
+   * @returns {Object} {title, status, duration, children}
+   */
+  summarizeTask(task) {
+    return {
+      title: task.title,
+      status: task.status,
+      duration: task.endTime - task.startTime,
+      children: task.children.map(child => this.summarizeTask(child))
+    }
+  }
+
+  /**
+   * 结束任务并从运行中的任务中移除，同时结束未完成的子任务
+   * @param {Object|string} task - 任务或任务名称
+   * @param {string} status - done或failed
+   * @returns {Object|null} 任务，不在运行中时为null
+   */
+  finishTask(task, status) {
+    const index = typeof task === 'string'
+      ? this.tasks.map(running => running.title).lastIndexOf(task)
+      : this.tasks.indexOf(task)
+    if (index === -1) return null
+
+    task = this.tasks[index]
+    task.endTime = Date.now()
+    task.status = status
+
+    this.tasks.splice(index).slice(1).forEach(child => {
+      child.endTime = task.endTime
+      child.status = status
+    })
+
+    return task
+  }
+
+  /**
+   * 输出结束的任务行，并恢复父任务的加载动画
+   * @param {Object} task - 任务
+   * @param {string} symbol - 状态图标
+   * @param {string} text - 任务行内容
+   */
+  persistTask(task, symbol, text) {
+    this.stopSpinner()
+    console.log(`${indent(task)}${symbol} ${text}`)
+
+    const parent = this.tasks[this.tasks.length - 1]
+    if (parent) this.startSpinner(parent)
+  }
+
+  /**
+   * 固定显示运行中任务的标题，每个任务只显示一次
+   * @param {Object} task - 任务
+   */
+  announceTask(task) {
+    if (this.spinner && this.spinner.task === task) {
+      this.stopSpinner()
+    }
+
+    if (task.announced) return
+    task.announced = true
+    console.log(`${indent(task)}${chalk.cyan('▸')} ${task.title}`)
+  }
+
+  /**
+   * 为任务显示加载动画
+   * @param {Object} task - 任务
+   */
+  startSpinner(task) {
+    this.stopSpinner()
+    this.spinner = ora({
+      text: task.title,
+      indent: task.depth * 2,
+      stream: process.stdout,
+      // 禁用颜色时动画同样不着色
+      color: chalk.level > 0 ? 'cyan' : false
+    }).start()
+    this.spinner.task = task
+  }
+
+  /**
+   * 停止并清除加载动画
+   */
+  stopSpinner() {
+    if (!this.spinner) return
+    this.spinner.stop()
+    this.spinner = null
+  }
+
+  /**
+   * 是否使用加载动画显示任务
+   * @returns {boolean} 标准输出为TTY、不在CI中、使用simple格式且输出info级别时为true
+   */
+  isInteractive() {
+    return Boolean(process.stdout.isTTY) &&
+      !process.env.CI &&
+      this.format === 'simple' &&
+      !this.suspended &&
+      this.shouldLog('info')
+  }
+
+  /**
+   * 写入任务记录到日志文件，交互式显示的任务行不经过log()
+   * @param {string} level - 日志级别
+   * @param {string} message - 消息
+   * @param {Array} args - 其他参数
+   */
+  writeTaskRecord(level, message, args = []) {
+    if (this.file) {
+      this.writeToFile(this.createRecord(level, message, args))
+    }
   }
 
   /**
@@ -215,6 +550,102 @@ class Logger {
   setTimestamp(timestamp) {
     this.timestamp = timestamp
   }
+
+  /**
+   * 设置控制台输出格式
+   * @param {string} format - simple或json
+   */
+  setFormat(format) {
+    if (!['simple', 'json'].includes(format)) {
+      throw new Error(`不支持的日志格式: ${format}，可选值: simple, json`)
+    }
+    this.format = format
+  }
+
+  /**
+   * 启用文件日志
+   * @param {string|boolean} file - 日志文件路径，为true时使用用户缓存目录下的 logs/frontend.log，为false时关闭
+   */
+  setFile(file) {
+    if (!file) {
+      this.file = null
+      return
+    }
+
+    // config依赖logger，在这里延迟加载
+    const config = require('./config')
+    this.file = file === true ? config.getCacheDir('logs', 'frontend.log') : path.resolve(file)
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    this.fileSize = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0
+
+    this.writeToFile(this.createRecord('debug', '日志开始', [{
+      argv: process.argv.slice(2),
+      cwd: process.cwd(),
+      node: process.version,
+      pid: process.pid
+    }]))
+  }
+
+  /**
+   * 写入一条记录到日志文件，同步写入保证process.exit()之前的日志不丢失
+   * @param {Object} record - 日志记录
+   */
+  writeToFile(record) {
+    const line = `${JSON.stringify(record)}\n`
+    const size = Buffer.byteLength(line)
+
+    try {
+      if (this.fileSize > 0 && this.fileSize + size > this.maxFileSize) {
+        this.rotateFile()
+      }
+      fs.appendFileSync(this.file, line)
+      this.fileSize += size
+    } catch (error) {
+      // 日志文件不可写时关闭文件日志，不影响命令本身
+      const file = this.file
+      this.file = null
+      this.warn(`写入日志文件失败，已关闭文件日志: ${file}`, error.message)
+    }
+  }
+
+  /**
+   * 轮转日志文件：<file>.1 → <file>.2 …，最旧的一份被删除
+   */
+  rotateFile() {
+    const backup = index => `${this.file}.${index}`
+
+    if (fs.existsSync(backup(this.maxFiles))) {
+      fs.unlinkSync(backup(this.maxFiles))
+    }
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(backup(index))) {
+        fs.renameSync(backup(index), backup(index + 1))
+      }
+    }
+    fs.renameSync(this.file, backup(1))
+    this.fileSize = 0
+  }
+}
+
+/**
+ * 按任务层级缩进
+ * @param {Object} task - 任务
+ * @returns {string} 缩进
+ */
+function indent(task) {
+  return '  '.repeat(task.depth)
+}
+
+/**
+ * 格式化耗时
+ * @param {number} ms - 毫秒
+ * @returns {string} 如 320ms、1.5s、2m 5s
+ */
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)}s`
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`
 }
 
 // 创建全局logger实例
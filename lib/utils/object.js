@@ -0,0 +1,85 @@
+/**
+ * 对象工具模块
+ *
+ * 提供配置合并相关的通用函数：
+ * 1. 纯对象判断
+ * 2. 深度合并（数组去重合并）
+ * 3. 按键名排序
+ */
+
+/**
+ * 判断是否为纯对象
+ * @param {*} value - 待判断的值
+ * @returns {boolean} 是否为纯对象
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+}
+
+/**
+ * 深度合并对象，返回新对象，不修改入参
+ * @param {Object} target - 目标对象
+ * @param {Object} source - 来源对象
+ * @param {Object} options - 合并选项
+ * @param {Function} options.onConflict - 同一键的标量值不同时回调 (keyPath, oldValue, newValue)
+ * @returns {Object} 合并结果
+ */
+function deepMerge(target = {}, source = {}, options = {}) {
+  const { onConflict, keyPath = [] } = options
+  const result = { ...target }
+
+  Object.keys(source).forEach(key => {
+    const oldValue = result[key]
+    const newValue = source[key]
+    const currentPath = [...keyPath, key]
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      result[key] = deepMerge(oldValue, newValue, { onConflict, keyPath: currentPath })
+    } else if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      result[key] = mergeArrays(oldValue, newValue)
+    } else {
+      if (onConflict && oldValue !== undefined && oldValue !== newValue) {
+        onConflict(currentPath, oldValue, newValue)
+      }
+      result[key] = newValue
+    }
+  })
+
+  return result
+}
+
+/**
+ * 合并数组并去除重复项
+ * @param {Array} a - 数组a
+ * @param {Array} b - 数组b
+ * @returns {Array} 合并结果
+ */
+function mergeArrays(a, b) {
+  const result = [...a]
+  b.forEach(item => {
+    const exists = result.some(existing => JSON.stringify(existing) === JSON.stringify(item))
+    if (!exists) result.push(item)
+  })
+  return result
+}
+
+/**
+ * 按键名排序对象
+ * @param {Object} obj - 待排序对象
+ * @returns {Object} 排序后的新对象
+ */
+function sortObject(obj) {
+  if (!isPlainObject(obj)) return obj
+
+  return Object.keys(obj).sort().reduce((sorted, key) => {
+    sorted[key] = obj[key]
+    return sorted
+  }, {})
+}
+
+module.exports = {
+  isPlainObject,
+  deepMerge,
+  mergeArrays,
+  sortObject
+}
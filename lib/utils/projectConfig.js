@@ -0,0 +1,75 @@
+/**
+ * 项目配置模块
+ *
+ * 读写由Creator写入项目根目录的 .frontendrc.json：
+ *   {
+ *     "preset": { "framework": "vue", "plugins": { ... }, "options": { ... } },
+ *     "name": "my-app",
+ *     "bundler": "vite",
+ *     "created": "2026-01-01T00:00:00.000Z"
+ *   }
+ *
+ * add等在已有项目中执行的命令通过本模块获取项目创建时使用的预设。
+ */
+
+const fs = require('fs-extra')
+const path = require('path')
+
+const CONFIG_FILE = '.frontendrc.json'
+
+class ProjectConfig {
+  /**
+   * 获取项目配置文件路径
+   * @param {string} context - 项目路径
+   * @returns {string} 配置文件路径
+   */
+  static getPath(context) {
+    return path.join(context, CONFIG_FILE)
+  }
+
+  /**
+   * 判断目录是否为frontend-cli创建的项目
+   * @param {string} context - 项目路径
+   * @returns {boolean}
+   */
+  static exists(context) {
+    return fs.existsSync(this.getPath(context))
+  }
+
+  /**
+   * 读取项目配置
+   * @param {string} context - 项目路径
+   * @returns {Promise<Object>} 项目配置，preset.plugins 保证存在
+   */
+  static async load(context) {
+    const configPath = this.getPath(context)
+
+    if (!(await fs.pathExists(configPath))) {
+      throw new Error(`${context} 不是frontend-cli创建的项目（缺少 ${CONFIG_FILE}）`)
+    }
+
+    let data
+    try {
+      data = await fs.readJson(configPath)
+    } catch (error) {
+      throw new Error(`项目配置文件 ${configPath} 格式错误: ${error.message}`)
+    }
+
+    data.preset = data.preset || {}
+    data.preset.plugins = data.preset.plugins || {}
+    return data
+  }
+
+  /**
+   * 序列化项目配置
+   * @param {Object} data - 项目配置
+   * @returns {string} 文件内容
+   */
+  static stringify(data) {
+    return JSON.stringify(data, null, 2)
+  }
+}
+
+ProjectConfig.CONFIG_FILE = CONFIG_FILE
+
+module.exports = ProjectConfig
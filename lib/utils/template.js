@@ -0,0 +1,130 @@
+/**
+ * 模板渲染工具模块
+ *
+ * 基于EJS提供统一的模板渲染接口：
+ * 1. 渲染单个模板文件
+ * 2. 递归渲染整个模板目录
+ * 3. 特殊文件名转换（_gitignore → .gitignore）
+ * 4. 二进制文件原样保留
+ *
+ * 模板目录约定：
+ * - 以 "_" 开头的文件名会被转换为 "." 开头（npm发布时会丢弃点文件）
+ * - 以 "__" 开头的文件名会被转换为 "_" 开头
+ * - 图片、字体等二进制文件不经过EJS渲染
+ * - 同一目录下主文件名相同的 .js/.ts（或 .jsx/.tsx）文件是同一文件的JS和TS两个变体，
+ *   按模板数据中的 typescript 只保留其一；没有对应变体的文件始终保留
+ */
+
+const ejs = require('ejs')
+const fs = require('fs-extra')
+const path = require('path')
+
+// JS/TS变体文件的扩展名及其对应扩展名
+const VARIANT_EXTENSIONS = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx', '.ts'],
+  '.ts': ['.js', '.jsx'],
+  '.tsx': ['.jsx', '.js']
+}
+
+// 不参与EJS渲染的二进制文件扩展名
+const BINARY_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.ico', '.webp', '.bmp',
+  '.woff', '.woff2', '.ttf', '.eot', '.otf',
+  '.mp3', '.mp4', '.webm', '.zip', '.gz', '.pdf'
+]
+
+class Template {
+  /**
+   * 渲染模板文件
+   * @param {string} filePath - 模板文件路径
+   * @param {Object} data - 模板数据
+   * @param {Object} options - EJS选项
+   * @returns {Promise<string|Buffer>} 渲染结果
+   */
+  static async renderFile(filePath, data = {}, options = {}) {
+    if (this.isBinary(filePath)) {
+      return await fs.readFile(filePath)
+    }
+
+    const template = await fs.readFile(filePath, 'utf8')
+    return ejs.render(template, data, { filename: filePath, ...options })
+  }
+
+  /**
+   * 递归渲染模板目录
+   * @param {string} sourceDir - 模板目录
+   * @param {Object} data - 模板数据
+   * @param {Object} options - EJS选项
+   * @returns {Promise<Object>} 文件映射 {相对路径: 内容}
+   */
+  static async renderDirectory(sourceDir, data = {}, options = {}) {
+    const files = {}
+
+    const walkDir = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true })
+      const names = entries.map(entry => entry.name)
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name)
+
+        if (entry.isDirectory()) {
+          await walkDir(fullPath)
+        } else if (entry.isFile() && this.shouldRenderVariant(entry.name, names, data.typescript)) {
+          const relativePath = path.relative(sourceDir, fullPath)
+          const targetPath = this.transformPath(relativePath)
+          files[targetPath] = await this.renderFile(fullPath, data, options)
+        }
+      }
+    }
+
+    await walkDir(sourceDir)
+    return files
+  }
+
+  /**
+   * 判断JS/TS变体文件是否需要渲染
+   * @param {string} name - 文件名
+   * @param {Array<string>} siblings - 同目录下的所有文件名
+   * @param {boolean} typescript - 是否为TypeScript项目
+   * @returns {boolean} 是否渲染该文件
+   */
+  static shouldRenderVariant(name, siblings, typescript) {
+    const ext = path.extname(name)
+    if (!VARIANT_EXTENSIONS[ext] || name.endsWith('.d.ts')) return true
+
+    const base = name.slice(0, -ext.length)
+    const hasCounterpart = VARIANT_EXTENSIONS[ext].some(other => siblings.includes(base + other))
+    if (!hasCounterpart) return true
+
+    const isTypeScript = ext === '.ts' || ext === '.tsx'
+    return isTypeScript === Boolean(typescript)
+  }
+
+  /**
+   * 转换模板路径中的特殊文件名
+   * @param {string} relativePath - 模板内相对路径
+   * @returns {string} 目标相对路径（统一使用 "/" 分隔）
+   */
+  static transformPath(relativePath) {
+    return relativePath
+      .split(path.sep)
+      .map(segment => {
+        if (segment.startsWith('__')) return segment.slice(1)
+        if (segment.startsWith('_')) return `.${segment.slice(1)}`
+        return segment
+      })
+      .join('/')
+  }
+
+  /**
+   * 判断是否为二进制文件
+   * @param {string} filePath - 文件路径
+   * @returns {boolean} 是否为二进制文件
+   */
+  static isBinary(filePath) {
+    return BINARY_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+  }
+}
+
+module.exports = Template
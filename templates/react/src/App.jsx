@@ -0,0 +1,7 @@
+import HelloWorld from './components/HelloWorld.jsx'
+
+function App() {
+  return <HelloWorld msg="<%= projectName %>" />
+}
+
+export default App
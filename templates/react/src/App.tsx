@@ -0,0 +1,7 @@
+import HelloWorld from './components/HelloWorld'
+
+function App() {
+  return <HelloWorld msg="<%= projectName %>" />
+}
+
+export default App
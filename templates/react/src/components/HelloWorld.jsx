@@ -0,0 +1,16 @@
+import { useState } from 'react'
+
+function HelloWorld({ msg }) {
+  const [count, setCount] = useState(0)
+
+  return (
+    <>
+      <h1>{msg}</h1>
+      <button type="button" onClick={() => setCount(count => count + 1)}>
+        count is {count}
+      </button>
+    </>
+  )
+}
+
+export default HelloWorld
@@ -0,0 +1,20 @@
+import { useState } from 'react'
+
+interface HelloWorldProps {
+  msg: string
+}
+
+function HelloWorld({ msg }: HelloWorldProps) {
+  const [count, setCount] = useState(0)
+
+  return (
+    <>
+      <h1>{msg}</h1>
+      <button type="button" onClick={() => setCount(count => count + 1)}>
+        count is {count}
+      </button>
+    </>
+  )
+}
+
+export default HelloWorld
@@ -0,0 +1,8 @@
+import { setupCounter } from './counter'
+
+document.querySelector<HTMLDivElement>('#app')!.innerHTML = `
+  <h1><%= projectName %></h1>
+  <button id="counter" type="button"></button>
+`
+
+setupCounter(document.querySelector<HTMLButtonElement>('#counter')!)